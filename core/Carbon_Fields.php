@@ -340,7 +340,7 @@ final class Carbon_Fields {
 		};
 
 		$ioc['rest_api_router'] = function( $ioc ) {
-			return new REST_API_Router( $ioc['container_repository'] );
+			return new REST_API_Router( $ioc['container_repository'], $ioc['sidebar_manager'] );
 		};
 
 		$ioc['rest_api_decorator'] = function( $ioc ) {
@@ -4,6 +4,7 @@ namespace Carbon_Fields\Container;
 
 use Carbon_Fields\Datastore\Datastore;
 use Carbon_Fields\Helper\Helper;
+use Carbon_Fields\Field\Scripts_Field;
 
 class Block_Container extends Container {
 	/**
@@ -22,6 +23,13 @@ class Block_Container extends Container {
 		'category' => array(
 			'slug' => 'common',
 		),
+		'variations' => array(),
+		'transforms' => array(
+			'from' => array(),
+			'to' => array(),
+		),
+		'styles' => array(),
+		'example' => null,
 	);
 
 	/***
@@ -340,6 +348,124 @@ class Block_Container extends Container {
 		return $this;
 	}
 
+	/**
+	 * Set the variations of the block type.
+	 * Every variation presets the values of the fields, e.g.
+	 *
+	 *     array(
+	 *         'name'  => 'dark',
+	 *         'title' => __( 'Dark Hero' ),
+	 *         'data'  => array( 'crb_background' => '#000' ),
+	 *     )
+	 *
+	 * @see https://developer.wordpress.org/block-editor/developers/block-api/block-registration/#variations-optional
+	 *
+	 * @param  array $variations
+	 * @return Block_Container
+	 */
+	public function set_variations( $variations = array() ) {
+		foreach ( $variations as $variation ) {
+			if ( ! is_array( $variation ) || empty( $variation[ 'name' ] ) || empty( $variation[ 'title' ] ) ) {
+				throw new \Exception( __( "Every variation must be an array with 'name' and 'title' keys.", 'crb' ) );
+			}
+		}
+
+		$this->settings[ 'variations' ] = array_values( $variations );
+
+		return $this;
+	}
+
+	/**
+	 * Add a transform from another block type.
+	 * The map pairs the base names of the fields with the attributes of the source block.
+	 *
+	 * @see https://developer.wordpress.org/block-editor/developers/block-api/block-registration/#transforms-optional
+	 *
+	 * @param  string|string[] $blocks
+	 * @param  array           $map
+	 * @return Block_Container
+	 */
+	public function add_transform_from( $blocks, $map = array() ) {
+		return $this->add_transform( 'from', $blocks, $map );
+	}
+
+	/**
+	 * Add a transform to another block type.
+	 * The map pairs the attributes of the target block with the base names of the fields.
+	 *
+	 * @see https://developer.wordpress.org/block-editor/developers/block-api/block-registration/#transforms-optional
+	 *
+	 * @param  string|string[] $blocks
+	 * @param  array           $map
+	 * @return Block_Container
+	 */
+	public function add_transform_to( $blocks, $map = array() ) {
+		return $this->add_transform( 'to', $blocks, $map );
+	}
+
+	/**
+	 * Add a transform in the given direction.
+	 *
+	 * @param  string          $direction
+	 * @param  string|string[] $blocks
+	 * @param  array           $map
+	 * @return Block_Container
+	 */
+	protected function add_transform( $direction, $blocks, $map ) {
+		if ( ! is_array( $blocks ) && ! is_string( $blocks ) ) {
+			throw new \Exception( __( "The blocks of the transform must be 'array' or 'string'.", 'crb' ) );
+		}
+
+		if ( ! is_array( $map ) ) {
+			throw new \Exception( __( "The map of the transform must be an 'array'.", 'crb' ) );
+		}
+
+		$this->settings[ 'transforms' ][ $direction ][] = array(
+			'blocks' => (array) $blocks,
+			'map' => $map,
+		);
+
+		return $this;
+	}
+
+	/**
+	 * Set the styles of the block type.
+	 *
+	 * @see https://developer.wordpress.org/block-editor/developers/block-api/block-registration/#styles-optional
+	 *
+	 * @param  array $styles
+	 * @return Block_Container
+	 */
+	public function set_styles( $styles = array() ) {
+		foreach ( $styles as $style ) {
+			if ( ! is_array( $style ) || empty( $style[ 'name' ] ) || empty( $style[ 'label' ] ) ) {
+				throw new \Exception( __( "Every style must be an array with 'name' and 'label' keys.", 'crb' ) );
+			}
+		}
+
+		$this->settings[ 'styles' ] = array_values( $styles );
+
+		return $this;
+	}
+
+	/**
+	 * Set the values of the fields used for the preview in the inserter.
+	 *
+	 * @see https://developer.wordpress.org/block-editor/developers/block-api/block-registration/#example-optional
+	 *
+	 * @param  array|null $data
+	 * @return Block_Container
+	 */
+	public function set_example( $data = null ) {
+		if ( ! is_array( $data ) && ! is_null( $data ) ) {
+			throw new \Exception( __( "The example must be 'array' or 'null'.", 'crb' ) );
+		}
+
+		$this->settings[ 'example' ] = $data;
+
+		return $this;
+	}
+
 	/**
 	 * Set the render callback of the block type.
 	 *
@@ -368,6 +494,12 @@ class Block_Container extends Container {
 		// pass it as separate argument to the callback.
 		unset($attributes['data']);
 
+		// The scripts can't be hooked to the head or footer of the page
+		// from within a block so the render callback prints them inline.
+		// The code is passed as it was typed, unescaped, and only when
+		// the author of the post is allowed to post unfiltered HTML.
+		$attributes['scripts'] = $this->can_output_scripts() ? $this->get_inline_scripts( $fields ) : array();
+
 		ob_start();
 
 		call_user_func( $this->render_callback , $fields, $attributes, $content );
@@ -375,6 +507,48 @@ class Block_Container extends Container {
 		return ob_get_clean();
 	}
 
+	/**
+	 * Returns whether the code of the scripts fields can be printed.
+	 *
+	 * Any user that can edit posts can fill the fields of a block, so the code
+	 * is trusted only when the author of the post has the `unfiltered_html`
+	 * capability, the same way WordPress treats the HTML of the post content.
+	 *
+	 * @return boolean
+	 */
+	protected function can_output_scripts() {
+		$post = get_post();
+
+		if ( ! $post ) {
+			return false;
+		}
+
+		return user_can( $post->post_author, 'unfiltered_html' );
+	}
+
+	/**
+	 * Returns the code of the header and footer scripts fields keyed by their base names.
+	 * The code is returned raw and it's up to the render callback to print it as is.
+	 *
+	 * @param  array $fields
+	 * @return array
+	 */
+	protected function get_inline_scripts( $fields ) {
+		$scripts = array();
+
+		foreach ( $this->get_fields() as $field ) {
+			$base_name = $field->get_base_name();
+
+			if ( ! ( $field instanceof Scripts_Field ) || empty( $fields[ $base_name ] ) ) {
+				continue;
+			}
+
+			$scripts[ $base_name ] = $fields[ $base_name ];
+		}
+
+		return $scripts;
+	}
+
 	/**
 	 * Returns the block type name, e.g. "carbon-fields/testimonial"
 	 */
@@ -68,6 +68,13 @@ class Comment_Meta_Container extends Container {
 		}
 	}
 
+	/**
+	 * {@inheritDoc}
+	 */
+	protected function current_user_can_save( $object_id = null ) {
+		return current_user_can( 'edit_comment', intval( $object_id ) );
+	}
+
 	/**
 	 * Get environment array for page request (in admin)
 	 *
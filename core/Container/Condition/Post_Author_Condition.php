@@ -0,0 +1,26 @@
+<?php
+
+namespace Carbon_Fields\Container\Condition;
+
+/**
+ * Check if post is written by a specific author
+ */
+class Post_Author_Condition extends Condition {
+
+	/**
+	 * Check if the condition is fulfilled
+	 *
+	 * @param  array $environment
+	 * @return bool
+	 */
+	public function is_fulfilled( $environment ) {
+		$post = $environment['post'];
+		$post_author = is_object( $post ) ? intval( $post->post_author ) : 0;
+
+		return $this->compare(
+			$post_author,
+			$this->get_comparison_operator(),
+			$this->get_value()
+		);
+	}
+}
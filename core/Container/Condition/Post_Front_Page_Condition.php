@@ -0,0 +1,26 @@
+<?php
+
+namespace Carbon_Fields\Container\Condition;
+
+/**
+ * Check if post is the page set as "Homepage" in the reading settings
+ */
+class Post_Front_Page_Condition extends Condition {
+
+	/**
+	 * Check if the condition is fulfilled
+	 *
+	 * @param  array $environment
+	 * @return bool
+	 */
+	public function is_fulfilled( $environment ) {
+		$post_id = intval( $environment['post_id'] );
+		$is_front_page = $post_id && $post_id === intval( get_option( 'page_on_front' ) );
+
+		return $this->compare(
+			$is_front_page,
+			$this->get_comparison_operator(),
+			$this->get_value()
+		);
+	}
+}
@@ -0,0 +1,26 @@
+<?php
+
+namespace Carbon_Fields\Container\Condition;
+
+/**
+ * Check if post is the page set as "Posts page" in the reading settings
+ */
+class Post_Posts_Page_Condition extends Condition {
+
+	/**
+	 * Check if the condition is fulfilled
+	 *
+	 * @param  array $environment
+	 * @return bool
+	 */
+	public function is_fulfilled( $environment ) {
+		$post_id = intval( $environment['post_id'] );
+		$is_posts_page = $post_id && $post_id === intval( get_option( 'page_for_posts' ) );
+
+		return $this->compare(
+			$is_posts_page,
+			$this->get_comparison_operator(),
+			$this->get_value()
+		);
+	}
+}
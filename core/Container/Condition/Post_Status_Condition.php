@@ -0,0 +1,33 @@
+<?php
+
+namespace Carbon_Fields\Container\Condition;
+
+/**
+ * Check if post has a specific status
+ *
+ * Pass "future" as the value for scheduled posts
+ */
+class Post_Status_Condition extends Condition {
+
+	/**
+	 * Check if the condition is fulfilled
+	 *
+	 * @param  array $environment
+	 * @return bool
+	 */
+	public function is_fulfilled( $environment ) {
+		$post = $environment['post'];
+		$post_status = is_object( $post ) ? $post->post_status : 'draft';
+
+		// New posts are saved as drafts
+		if ( $post_status === 'auto-draft' ) {
+			$post_status = 'draft';
+		}
+
+		return $this->compare(
+			$post_status,
+			$this->get_comparison_operator(),
+			$this->get_value()
+		);
+	}
+}
@@ -0,0 +1,26 @@
+<?php
+
+namespace Carbon_Fields\Container\Condition;
+
+/**
+ * Check if post is sticky
+ */
+class Post_Sticky_Condition extends Condition {
+
+	/**
+	 * Check if the condition is fulfilled
+	 *
+	 * @param  array $environment
+	 * @return bool
+	 */
+	public function is_fulfilled( $environment ) {
+		$post_id = $environment['post_id'];
+		$post_sticky = $post_id ? is_sticky( $post_id ) : false;
+
+		return $this->compare(
+			$post_sticky,
+			$this->get_comparison_operator(),
+			$this->get_value()
+		);
+	}
+}
@@ -321,6 +321,71 @@ abstract class Container implements Datastore_Holder_Interface {
 		}
 	}
 
+	/**
+	 * Save the submitted data received over the REST API.
+	 * The data is read from the request body the same way it is
+	 * read from a regular form submission.
+	 *
+	 * @param  int|null $object_id
+	 * @return array|\WP_Error
+	 */
+	public function rest_save( $object_id = null ) {
+		if ( ! $this->get_rest_save() ) {
+			return new \WP_Error( 'carbon_fields_rest_save_disabled', __( 'This container cannot be saved over the REST API.', 'carbon-fields' ), array( 'status' => 403 ) );
+		}
+
+		if ( ! $this->verified_nonce_in_request() || ! $this->current_user_can_save( $object_id ) || ! $this->is_valid_attach_for_object( $object_id ) ) {
+			return new \WP_Error( 'carbon_fields_rest_save_forbidden', __( 'Sorry, you are not allowed to save this container.', 'carbon-fields' ), array( 'status' => rest_authorization_required_code() ) );
+		}
+
+		$errors = $this->get_input_errors( Helper::input(), $object_id );
+		if ( ! empty( $errors ) ) {
+			return new \WP_Error( 'carbon_fields_invalid_fields', __( 'Some fields contain invalid values.', 'carbon-fields' ), array(
+				'status' => 400,
+				'fields' => $errors,
+			) );
+		}
+
+		$this->save( $object_id );
+
+		if ( ! empty( $this->errors ) ) {
+			return new \WP_Error( 'carbon_fields_rest_save_failed', wp_strip_all_tags( implode( ' ', $this->errors ) ), array( 'status' => 500 ) );
+		}
+
+		return array( 'saved' => true );
+	}
+
+	/**
+	 * Return the errors of the submitted field values keyed by field base name
+	 *
+	 * @param  array    $input
+	 * @param  int|null $object_id
+	 * @return array<string, string>
+	 */
+	protected function get_input_errors( $input, $object_id = null ) {
+		$errors = array();
+
+		foreach ( $this->fields as $field ) {
+			try {
+				$field->set_value_from_input( $input );
+			} catch ( \Exception $e ) {
+				$errors[ $field->get_base_name() ] = wp_strip_all_tags( $e->getMessage() );
+			}
+		}
+
+		return apply_filters( 'carbon_fields_container_rest_save_errors', $errors, $input, $object_id, $this );
+	}
+
+	/**
+	 * Check whether the current user can save the values of the specified object
+	 *
+	 * @param  int|null $object_id
+	 * @return bool
+	 */
+	protected function current_user_can_save( $object_id = null ) {
+		return current_user_can( 'manage_options' );
+	}
+
 	/**
 	 * Checks whether the current save request is valid
 	 *
@@ -756,6 +821,27 @@ abstract class Container implements Datastore_Holder_Interface {
 		return $this;
 	}
 
+	/**
+	 * Whether the container values can be saved over the REST API.
+	 *
+	 * @return bool
+	 */
+	public function get_rest_save() {
+		return ! empty( $this->settings['rest_save'] );
+	}
+
+	/**
+	 * Allow the container values to be saved over the REST API
+	 * without submitting the whole page.
+	 *
+	 * @param bool $rest_save
+	 * @return Container $this
+	 */
+	public function set_rest_save( $rest_save = true ) {
+		$this->settings['rest_save'] = (bool) $rest_save;
+		return $this;
+	}
+
 	/**
 	 * Returns an array that holds the container data, suitable for JSON representation.
 	 *
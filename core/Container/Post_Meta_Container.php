@@ -116,6 +116,13 @@ class Post_Meta_Container extends Container {
 		do_action( 'carbon_fields_post_meta_container_saved', $post_id, $this );
 	}
 
+	/**
+	 * {@inheritDoc}
+	 */
+	protected function current_user_can_save( $object_id = null ) {
+		return current_user_can( 'edit_post', intval( $object_id ) );
+	}
+
 	/**
 	 * Get environment array for page request (in admin)
 	 *
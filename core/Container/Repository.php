@@ -99,6 +99,22 @@ class Repository {
 		return $containers;
 	}
 
+	/**
+	 * Return a container by its id
+	 *
+	 * @param  string         $id
+	 * @return Container|null
+	 */
+	public function get_container( $id ) {
+		foreach ( $this->containers as $container ) {
+			if ( $container->get_id() === $id ) {
+				return $container;
+			}
+		}
+
+		return null;
+	}
+
 	/**
 	 * Return field in a container with supplied id
 	 *
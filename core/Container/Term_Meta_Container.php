@@ -76,6 +76,13 @@ class Term_Meta_Container extends Container {
 		do_action( 'carbon_fields_term_meta_container_saved', $term_id, $this );
 	}
 
+	/**
+	 * {@inheritDoc}
+	 */
+	protected function current_user_can_save( $object_id = null ) {
+		return current_user_can( 'edit_term', intval( $object_id ) );
+	}
+
 	/**
 	 * Get environment array for page request (in admin)
 	 *
@@ -106,11 +106,19 @@ class Theme_Options_Container extends Container {
 
 		do_action( 'carbon_fields_' . $this->type . '_container_saved', $user_data, $this );
 
-		if ( ! headers_sent() ) {
+		if ( ! headers_sent() && ! ( defined( 'REST_REQUEST' ) && REST_REQUEST ) ) {
 			wp_redirect( add_query_arg( array( 'settings-updated' => 'true' ) ) );
 		}
 	}
 
+	/**
+	 * {@inheritDoc}
+	 */
+	protected function current_user_can_save( $object_id = null ) {
+		// the capability is checked by the container conditions
+		return true;
+	}
+
 	/**
 	 * Get environment array for page request (in admin)
 	 *
@@ -73,6 +73,13 @@ class User_Meta_Container extends Container {
 		do_action( 'carbon_fields_user_meta_container_saved', $user_id, $this );
 	}
 
+	/**
+	 * {@inheritDoc}
+	 */
+	protected function current_user_can_save( $object_id = null ) {
+		return current_user_can( 'edit_user', intval( $object_id ) );
+	}
+
 	/**
 	 * Get environment array for page request (in admin)
 	 *
@@ -24,6 +24,8 @@ class Complex_Field extends Field {
 
 	const LAYOUT_TABBED_VERTICAL = 'tabbed-vertical';
 
+	const LAYOUT_TABLE = 'table';
+
 	const TYPE_PROPERTY = '_type';
 
 	/**
@@ -599,6 +601,7 @@ class Complex_Field extends Field {
 			static::LAYOUT_GRID,
 			static::LAYOUT_TABBED_HORIZONTAL,
 			static::LAYOUT_TABBED_VERTICAL,
+			static::LAYOUT_TABLE,
 		);
 
 		if ( ! in_array( $layout,  $available_layouts ) ) {
@@ -188,6 +188,36 @@ class Field implements Datastore_Holder_Interface {
 	 */
 	protected $conditional_logic = array();
 
+	/**
+	 * Stores the conditional logic rules which make the field required.
+	 *
+	 * @var array
+	 */
+	protected $required_logic = array();
+
+	/**
+	 * Stores the conditional logic rules which make the field read-only.
+	 *
+	 * @var array
+	 */
+	protected $disabled_logic = array();
+
+	/**
+	 * Whether the field value should be reset to its default
+	 * when the field gets hidden by conditional logic.
+	 *
+	 * @var bool
+	 */
+	protected $reset_when_hidden = false;
+
+	/**
+	 * Stores the field validation rules.
+	 *
+	 * @see set_validation()
+	 * @var array
+	 */
+	protected $validation = array();
+
 	/**
 	 * Whether the field should be included in the response of the requests to the REST API
 	 *
@@ -918,6 +948,68 @@ class Field implements Datastore_Holder_Interface {
 		return $this->conditional_logic;
 	}
 
+	/**
+	 * Set the conditional logic rules which make the field required.
+	 *
+	 * @param  array
+	 * @return self  $this
+	 */
+	public function set_required_logic( $rules ) {
+		$this->required_logic = $this->parse_conditional_rules( $rules );
+		return $this;
+	}
+
+	/**
+	 * Get the conditional logic rules which make the field required.
+	 *
+	 * @return array
+	 */
+	public function get_required_logic() {
+		return $this->required_logic;
+	}
+
+	/**
+	 * Set the conditional logic rules which make the field read-only.
+	 *
+	 * @param  array
+	 * @return self  $this
+	 */
+	public function set_disabled_logic( $rules ) {
+		$this->disabled_logic = $this->parse_conditional_rules( $rules );
+		return $this;
+	}
+
+	/**
+	 * Get the conditional logic rules which make the field read-only.
+	 *
+	 * @return array
+	 */
+	public function get_disabled_logic() {
+		return $this->disabled_logic;
+	}
+
+	/**
+	 * Whether the field value should be reset to its default
+	 * when the field gets hidden by conditional logic.
+	 *
+	 * @param  bool  $reset
+	 * @return self  $this
+	 */
+	public function set_reset_when_hidden( $reset = true ) {
+		$this->reset_when_hidden = $reset;
+		return $this;
+	}
+
+	/**
+	 * Return whether the field value should be reset to its default
+	 * when the field gets hidden by conditional logic.
+	 *
+	 * @return bool
+	 */
+	public function get_reset_when_hidden() {
+		return $this->reset_when_hidden;
+	}
+
 	/**
 	 * Validate and parse a conditional logic rule.
 	 *
@@ -925,8 +1017,18 @@ class Field implements Datastore_Holder_Interface {
 	 * @return array
 	 */
 	protected function parse_conditional_rule( $rule ) {
-		$allowed_operators = array( '=', '!=', '>', '>=', '<', '<=', 'IN', 'NOT IN', 'INCLUDES', 'EXCLUDES' );
-		$array_operators = array( 'IN', 'NOT IN' );
+		$allowed_operators = apply_filters( 'carbon_fields_conditional_logic_operators', array(
+			'=', '!=', '>', '>=', '<', '<=',
+			'IN', 'NOT IN', 'INCLUDES', 'EXCLUDES',
+			'REGEX', 'NOT REGEX',
+			'EMPTY', 'NOT EMPTY',
+			'BETWEEN', 'NOT BETWEEN',
+			'STARTS WITH', 'ENDS WITH',
+			'LENGTH =', 'LENGTH !=', 'LENGTH >', 'LENGTH >=', 'LENGTH <', 'LENGTH <=',
+			'BEFORE', 'AFTER',
+		) );
+		$array_operators = array( 'IN', 'NOT IN', 'BETWEEN', 'NOT BETWEEN' );
+		$range_operators = array( 'BETWEEN', 'NOT BETWEEN' );
 
 		// Check if the rule is valid
 		if ( ! is_array( $rule ) || empty( $rule['field'] ) ) {
@@ -951,6 +1053,11 @@ class Field implements Datastore_Holder_Interface {
 			return null;
 		}
 
+		if ( in_array( $rule['compare'], $range_operators ) && count( $rule['value'] ) !== 2 ) {
+			Incorrect_Syntax_Exception::raise( 'Invalid conditional logic value format. An array with exactly two items is expected, when using the "' . $rule['compare'] . '" operator.' );
+			return null;
+		}
+
 		return $rule;
 	}
 
@@ -975,13 +1082,68 @@ class Field implements Datastore_Holder_Interface {
 		unset( $rules_only['relation'] ); // Skip the relation key as it is already handled above
 
 		foreach ( $rules_only as $key => $rule ) {
-			$rule = $this->parse_conditional_rule( $rule );
+			// Arrays without the "field" key are nested groups of rules
+			if ( is_array( $rule ) && ! isset( $rule['field'] ) ) {
+				$rule = $this->parse_conditional_rules( $rule );
+
+				if ( empty( $rule ) ) {
+					return array();
+				}
+			} else {
+				$rule = $this->parse_conditional_rule( $rule );
+
+				if ( $rule === null ) {
+					return array();
+				}
+			}
+
+			$parsed_rules['rules'][] = $rule;
+		}
+
+		return $parsed_rules;
+	}
+
+	/**
+	 * Set the validation rules of the field
+	 *
+	 * @param  array $rules
+	 * @return self  $this
+	 */
+	public function set_validation( $rules ) {
+		$this->validation = $this->parse_validation_rules( $rules );
+		return $this;
+	}
+
+	/**
+	 * Get the validation rules of the field
+	 *
+	 * @return array
+	 */
+	public function get_validation() {
+		return $this->validation;
+	}
+
+	/**
+	 * Validate and parse validation rules.
+	 *
+	 * @param  array $rules
+	 * @return array
+	 */
+	protected function parse_validation_rules( $rules ) {
+		if ( ! is_array( $rules ) ) {
+			Incorrect_Syntax_Exception::raise( 'Validation rules argument should be an array.' );
+			return array();
+		}
+
+		$parsed_rules = array();
 
-			if ( $rule === null ) {
+		foreach ( $rules as $rule ) {
+			if ( ! is_array( $rule ) || empty( $rule['type'] ) ) {
+				Incorrect_Syntax_Exception::raise( 'Invalid validation rule format. The rule should be an array with the "type" key set.' );
 				return array();
 			}
 
-			$parsed_rules['rules'][] = $rule;
+			$parsed_rules[] = $rule;
 		}
 
 		return $parsed_rules;
@@ -1033,6 +1195,10 @@ class Field implements Datastore_Holder_Interface {
 			'width' => $this->get_width(),
 			'classes' => $this->get_classes(),
 			'conditional_logic' => $this->get_conditional_logic(),
+			'required_logic' => $this->get_required_logic(),
+			'disabled_logic' => $this->get_disabled_logic(),
+			'reset_when_hidden' => $this->get_reset_when_hidden(),
+			'validation' => $this->get_validation(),
 		);
 
 		return $field_data;
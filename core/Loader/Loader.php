@@ -205,6 +205,14 @@ class Loader {
 		$this->enqueue_script( 'core', array( 'carbon-fields-vendor' ) );
 		$this->enqueue_script( 'metaboxes', array( 'carbon-fields-vendor', 'carbon-fields-core' ) );
 
+		// The containers that are saved over the REST API need its settings.
+		foreach ( $this->container_repository->get_active_containers() as $container ) {
+			if ( $container->get_rest_save() ) {
+				wp_enqueue_script( 'wp-api' );
+				break;
+			}
+		}
+
 		if ( $this->get_assets_context() === 'gutenberg' ) {
 			$this->enqueue_style( 'blocks' );
 			$this->enqueue_script( 'blocks', array( 'carbon-fields-vendor', 'carbon-fields-core' ) );
@@ -84,6 +84,40 @@ class Container_Condition_Provider implements ServiceProviderInterface {
 			$condition->set_comparers( $ioc['container_condition_comparer_collections']['nonscalar'] );
 			return $condition;
 		} );
+		$cc_ioc['post_status'] = $cc_ioc->factory( function() use ( $ioc ) {
+			$condition = new \Carbon_Fields\Container\Condition\Post_Status_Condition();
+			$condition->set_comparers( $ioc['container_condition_comparer_collections']['nonscalar'] );
+			return $condition;
+		} );
+		$cc_ioc['post_author'] = $cc_ioc->factory( function() use ( $ioc ) {
+			$condition = new \Carbon_Fields\Container\Condition\Post_Author_Condition();
+			$condition->set_comparers( $ioc['container_condition_comparer_collections']['generic'] );
+			return $condition;
+		} );
+		$cc_ioc['post_sticky'] = $cc_ioc->factory( function() use ( $ioc ) {
+			$condition = new \Carbon_Fields\Container\Condition\Post_Sticky_Condition();
+			$condition->set_comparers( array(
+				$ioc['container_condition_comparers']['equality'],
+				$ioc['container_condition_comparers']['custom'],
+			) );
+			return $condition;
+		} );
+		$cc_ioc['post_front_page'] = $cc_ioc->factory( function() use ( $ioc ) {
+			$condition = new \Carbon_Fields\Container\Condition\Post_Front_Page_Condition();
+			$condition->set_comparers( array(
+				$ioc['container_condition_comparers']['equality'],
+				$ioc['container_condition_comparers']['custom'],
+			) );
+			return $condition;
+		} );
+		$cc_ioc['post_posts_page'] = $cc_ioc->factory( function() use ( $ioc ) {
+			$condition = new \Carbon_Fields\Container\Condition\Post_Posts_Page_Condition();
+			$condition->set_comparers( array(
+				$ioc['container_condition_comparers']['equality'],
+				$ioc['container_condition_comparers']['custom'],
+			) );
+			return $condition;
+		} );
 		$cc_ioc['post_term'] = $cc_ioc->factory( function() use ( $ioc ) {
 			$condition = new \Carbon_Fields\Container\Condition\Post_Term_Condition( $ioc['wp_toolset'] );
 			$condition->set_comparers( array(
@@ -281,7 +315,7 @@ class Container_Condition_Provider implements ServiceProviderInterface {
 	public function filter_post_meta_container_static_condition_types( $condition_types, $container_type, $container ) {
 		return array_merge(
 			$condition_types,
-			array( 'post_id', 'post_type' )
+			array( 'post_id', 'post_type', 'post_front_page', 'post_posts_page' )
 		);
 	}
 
@@ -295,7 +329,7 @@ class Container_Condition_Provider implements ServiceProviderInterface {
 	public function filter_post_meta_container_dynamic_condition_types( $condition_types, $container_type, $container ) {
 		return array_merge(
 			$condition_types,
-			array( 'post_parent_id', 'post_ancestor_id', 'post_format', 'post_level', 'post_template', 'post_term' )
+			array( 'post_parent_id', 'post_ancestor_id', 'post_format', 'post_level', 'post_template', 'post_term', 'post_status', 'post_author', 'post_sticky' )
 		);
 	}
 
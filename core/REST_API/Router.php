@@ -4,6 +4,7 @@ namespace Carbon_Fields\REST_API;
 
 use Carbon_Fields\Helper\Helper;
 use Carbon_Fields\Container\Repository as ContainerRepository;
+use Carbon_Fields\Libraries\Sidebar_Manager\Sidebar_Manager;
 
 /**
 * Register custom routes for REST API
@@ -46,6 +47,12 @@ class Router {
 			'permission_callback' => 'options_permission',
 			'methods'             => array( 'GET', 'POST' ),
 		),
+		'container_save' => array(
+			'path'                => '/containers/(?P<container_id>[\w-]+)',
+			'callback'            => 'save_container',
+			'permission_callback' => 'allow_access',
+			'methods'             => 'POST',
+		),
 		'association_data' => array(
 			'path'                => '/association',
 			'callback'            => 'get_association_data',
@@ -58,6 +65,13 @@ class Router {
 			'permission_callback' => 'allow_access',
 			'methods'             => 'GET',
 		),
+		'sidebars' => array(
+			'path'                => '/sidebars',
+			'callback'            => 'add_sidebar',
+			'permission_callback' => 'sidebars_permission',
+			'methods'             => 'POST',
+			'args'                => 'sidebars_args_schema',
+		),
 		'block_renderer' => array(
 			'path'                => '/block-renderer',
 			'callback'            => 'block_renderer',
@@ -92,11 +106,20 @@ class Router {
 	 */
 	protected $container_repository;
 
+	/**
+	 * Sidebar_Manager instance
+	 *
+	 * @var Sidebar_Manager
+	 */
+	protected $sidebar_manager;
+
 	/**
 	 * @param ContainerRepository $container_repository
+	 * @param Sidebar_Manager     $sidebar_manager
 	 */
-	public function __construct( ContainerRepository $container_repository ) {
+	public function __construct( ContainerRepository $container_repository, Sidebar_Manager $sidebar_manager = null ) {
 		$this->container_repository = $container_repository;
+		$this->sidebar_manager = $sidebar_manager ? $sidebar_manager : new Sidebar_Manager();
 	}
 
 	/**
@@ -284,6 +307,31 @@ class Router {
 		return array( 'carbon_fields' => $carbon_data );
 	}
 
+	/**
+	 * Save the values of a container which allows saving over the REST API.
+	 * The permissions are checked by the container itself.
+	 *
+	 * @param  WP_REST_Request $request
+	 * @return array|WP_Error
+	 */
+	public function save_container( $request ) {
+		$container = $this->container_repository->get_container( $request['container_id'] );
+
+		if ( ! $container ) {
+			return new \WP_Error(
+				'carbon_fields_container_invalid',
+				__( 'Invalid container.', 'carbon-fields' ),
+				array(
+					'status' => 404,
+				)
+			);
+		}
+
+		$object_id = ! empty( $request['object_id'] ) ? intval( $request['object_id'] ) : null;
+
+		return $container->rest_save( $object_id );
+	}
+
 	/**
 	 * Get Carbon Fields association options data.
 	 *
@@ -338,6 +386,57 @@ class Router {
 		return Helper::get_attachment_metadata( $value, $type );
 	}
 
+	/**
+	 * Checks if a given request has access to create sidebars.
+	 *
+	 * @param  WP_REST_Request $request
+	 * @return bool
+	 */
+	public function sidebars_permission( $request ) {
+		return current_user_can( 'edit_theme_options' );
+	}
+
+	/**
+	 * Returns the schema of the arguments accepted when creating a sidebar.
+	 *
+	 * @return array
+	 */
+	public function sidebars_args_schema() {
+		return array(
+			'name' => array(
+				'type'        => 'string',
+				'required'    => true,
+				'description' => __( 'The name of the sidebar.', 'carbon-fields' ),
+			),
+		);
+	}
+
+	/**
+	 * Create a custom sidebar.
+	 *
+	 * @param  WP_REST_Request $request
+	 * @return array|WP_Error
+	 */
+	public function add_sidebar( $request ) {
+		$name = trim( $request['name'] );
+
+		if ( empty( $name ) ) {
+			return new \WP_Error( 'name-missing', __( 'Please enter a name for the sidebar.', 'carbon-fields' ), array(
+				'status' => 400,
+			) );
+		}
+
+		$result = $this->sidebar_manager->add_sidebar( $name );
+
+		if ( is_wp_error( $result ) ) {
+			$result->add_data( array(
+				'status' => 400,
+			) );
+		}
+
+		return $result;
+	}
+
 	/**
 	 * Retrieve Carbon theme options
 	 *
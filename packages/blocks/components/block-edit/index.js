@@ -20,7 +20,7 @@ import {
 /**
  * Carbon Fields dependencies.
  */
-import { getFieldType } from '@carbon-fields/core';
+import { FieldBoundary, resolveFieldType, getFallbackFieldType } from '@carbon-fields/core';
 
 /**
  * Internal dependencies.
@@ -28,6 +28,7 @@ import { getFieldType } from '@carbon-fields/core';
 import './style.scss';
 import Field from '../field';
 import ServerSideRender from '../server-side-render';
+import emitFieldChanges from '../../utils/emit-field-changes';
 
 class BlockEdit extends Component {
 	/**
@@ -50,9 +51,16 @@ class BlockEdit extends Component {
 	 * @return {void}
 	 */
 	handleFieldChange = ( fieldId, value ) => {
-		const { attributes, setAttributes } = this.props;
+		const {
+			clientId,
+			container,
+			fields,
+			attributes,
+			setAttributes
+		} = this.props;
 
 		const fieldName = fieldId.replace( /^.+__(.+)?$/, '$1' );
+		const oldValue = get( attributes.data, fieldName );
 
 		setAttributes( {
 			data: {
@@ -60,6 +68,11 @@ class BlockEdit extends Component {
 				[ fieldName ]: value
 			}
 		} );
+
+		emitFieldChanges( find( fields, [ 'base_name', fieldName ] ), fieldName, oldValue, value, {
+			blockId: clientId,
+			containerId: container.id
+		} );
 	}
 
 	/**
@@ -117,12 +130,8 @@ class BlockEdit extends Component {
 			attributes
 		} = this.props;
 
-		const FieldEdit = getFieldType( field.type, 'block' );
-
-		if ( ! FieldEdit ) {
-			return null;
-		}
-
+		const FieldEdit = resolveFieldType( field.type, 'block' );
+		const FallbackEdit = getFallbackFieldType( 'block' );
 		const id = `cf-${ clientId }__${ field.base_name }`;
 		const value = get( attributes.data, field.base_name, field.default_value );
 
@@ -132,15 +141,20 @@ class BlockEdit extends Component {
 				id={ id }
 				field={ field }
 			>
-				<FieldEdit
-					id={ id }
-					containerId={ container.id }
-					blockId={ clientId }
-					value={ value }
+				<FieldBoundary
 					field={ field }
-					name={ field.base_name }
-					onChange={ this.handleFieldChange }
-				/>
+					fallback={ <FallbackEdit id={ id } containerId={ container.id } blockId={ clientId } value={ value } field={ field } /> }
+				>
+					<FieldEdit
+						id={ id }
+						containerId={ container.id }
+						blockId={ clientId }
+						value={ value }
+						field={ field }
+						name={ field.base_name }
+						onChange={ this.handleFieldChange }
+					/>
+				</FieldBoundary>
 			</Field>
 		);
 	}
@@ -0,0 +1,23 @@
+/**
+ * External dependencies.
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies.
+ */
+import './style.scss';
+
+/**
+ * Render a notice to inform the user that the code of the field
+ * is printed inline by the block.
+ *
+ * @return {React.Element}
+ */
+const InlineCodeNotice = () => (
+	<p className="cf-inline-code-notice">
+		{ __( 'The code is printed inline where the block is rendered, only if the author of the post is allowed to post unfiltered HTML.', 'carbon-fields-ui' ) }
+	</p>
+);
+
+export default InlineCodeNotice;
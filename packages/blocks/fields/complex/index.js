@@ -3,7 +3,7 @@
  */
 import produce from 'immer';
 import { Component } from '@wordpress/element';
-import { addFilter } from '@wordpress/hooks';
+import { addFilter, doAction } from '@wordpress/hooks';
 import {
 	get,
 	set,
@@ -13,19 +13,23 @@ import {
 	mapKeys,
 	without,
 	cloneDeep,
-	findIndex
+	findIndex,
+	isUndefined
 } from 'lodash';
 
 /**
  * Carbon Fields dependencies.
  */
-import { uniqueId } from '@carbon-fields/core';
+import { uniqueId, resolveFieldTypeMetadata } from '@carbon-fields/core';
 
 /**
  * Internal dependencies.
  */
 import './style.scss';
 import Field from '../../components/field';
+import getFieldPath from '../../utils/get-field-path';
+import exportFieldValue from '../../utils/export-field-value';
+import importFieldValue from '../../utils/import-field-value';
 
 class ComplexField extends Component {
 	/**
@@ -58,6 +62,38 @@ class ComplexField extends Component {
 		} );
 	}
 
+	/**
+	 * Notifies the integrations about the change of the groups.
+	 * The added and removed groups are reported with the changes of the value.
+	 *
+	 * @param  {string}   action
+	 * @param  {Object}   group
+	 * @param  {number}   index
+	 * @param  {Object[]} newValue
+	 * @return {void}
+	 */
+	emitGroupEvent( action, group, index, newValue ) {
+		const {
+			id,
+			blockId,
+			containerId,
+			field,
+			value
+		} = this.props;
+
+		doAction( `carbon-fields.complex.${ action }`, {
+			context: 'block',
+			blockId,
+			containerId,
+			field,
+			path: getFieldPath( id, blockId ),
+			group,
+			index,
+			oldValue: value,
+			newValue
+		} );
+	}
+
 	/**
 	 * Handles adding of group.
 	 *
@@ -78,12 +114,16 @@ class ComplexField extends Component {
 		data._type = group.name;
 
 		group.fields.reduce( ( accumulator, field ) => {
-			accumulator[ field.base_name ] = field.default_value;
+			const defaultValue = resolveFieldTypeMetadata( field.type ).defaultValue( field );
+
+			accumulator[ field.base_name ] = isUndefined( defaultValue ) ? field.default_value : defaultValue;
 
 			return accumulator;
 		}, data );
 
-		onChange( id, value.concat( data ) );
+		const newValue = value.concat( data );
+
+		onChange( id, newValue );
 
 		callback( data );
 	}
@@ -107,13 +147,86 @@ class ComplexField extends Component {
 
 		clonedGroup._id = uniqueId();
 
-		onChange( id, produce( value, ( draft ) => {
+		const newValue = produce( value, ( draft ) => {
 			draft.splice( index + 1, 0, clonedGroup );
-		} ) );
+		} );
+
+		onChange( id, newValue );
+
+		this.emitGroupEvent( 'group-cloned', clonedGroup, index + 1, newValue );
 
 		callback( clonedGroup );
 	}
 
+	/**
+	 * Handles copying of group.
+	 *
+	 * @param  {Object} group
+	 * @return {Object}
+	 */
+	handleCopyGroup = ( group ) => {
+		return exportFieldValue( this.props.field, [ group ] )[ 0 ];
+	}
+
+	/**
+	 * Handles pasting of groups.
+	 *
+	 * @param  {Object[]} entries
+	 * @param  {number}   index
+	 * @param  {Function} callback
+	 * @return {void}
+	 */
+	handlePasteGroups = ( entries, index, callback ) => {
+		const {
+			id,
+			field,
+			value,
+			onChange
+		} = this.props;
+
+		const groups = importFieldValue( field, entries );
+		const newValue = produce( value, ( draft ) => {
+			draft.splice( index, 0, ...groups );
+		} );
+
+		onChange( id, newValue );
+
+		callback( groups );
+	}
+
+	/**
+	 * Handles exporting of the value.
+	 *
+	 * @return {Object[]}
+	 */
+	handleExportValue = () => {
+		const { field, value } = this.props;
+
+		return exportFieldValue( field, value );
+	}
+
+	/**
+	 * Handles importing of the value.
+	 * The existing groups are replaced by the imported ones.
+	 *
+	 * @param  {Object[]} importedValue
+	 * @param  {Function} callback
+	 * @return {void}
+	 */
+	handleImportValue = ( importedValue, callback ) => {
+		const {
+			id,
+			field,
+			onChange
+		} = this.props;
+
+		const newValue = importFieldValue( field, importedValue );
+
+		onChange( id, newValue );
+
+		callback( newValue );
+	}
+
 	/**
 	 * Handles removing of group.
 	 *
@@ -129,9 +242,11 @@ class ComplexField extends Component {
 
 		const groupIndex = findIndex( value, [ '_id', group._id ] );
 
-		onChange( id, produce( value, ( draft ) => {
+		const newValue = produce( value, ( draft ) => {
 			draft.splice( groupIndex, 1 );
-		} ) );
+		} );
+
+		onChange( id, newValue );
 
 		this.setState( ( { collapsedGroups } ) => ( {
 			collapsedGroups: without( collapsedGroups, group._id )
@@ -254,6 +369,10 @@ class ComplexField extends Component {
 			handleGroupFieldSetup,
 			handleAddGroup,
 			handleCloneGroup,
+			handleCopyGroup,
+			handlePasteGroups,
+			handleExportValue,
+			handleImportValue,
 			handleRemoveGroup,
 			handleToggleGroup,
 			handleToggleAllGroups
@@ -271,6 +390,10 @@ class ComplexField extends Component {
 			handleGroupFieldSetup,
 			handleAddGroup,
 			handleCloneGroup,
+			handleCopyGroup,
+			handlePasteGroups,
+			handleExportValue,
+			handleImportValue,
 			handleRemoveGroup,
 			handleToggleGroup,
 			handleToggleAllGroups
@@ -296,6 +419,10 @@ addFilter( 'carbon-fields.complex.block', 'carbon-fields/blocks', ( OriginalComp
 				handleGroupFieldSetup,
 				handleAddGroup,
 				handleCloneGroup,
+				handleCopyGroup,
+				handlePasteGroups,
+				handleExportValue,
+				handleImportValue,
 				handleRemoveGroup,
 				handleToggleGroup,
 				handleToggleAllGroups
@@ -314,6 +441,10 @@ addFilter( 'carbon-fields.complex.block', 'carbon-fields/blocks', ( OriginalComp
 					onGroupFieldSetup={ handleGroupFieldSetup }
 					onAddGroup={ handleAddGroup }
 					onCloneGroup={ handleCloneGroup }
+					onCopyGroup={ handleCopyGroup }
+					onPasteGroups={ handlePasteGroups }
+					onExportValue={ handleExportValue }
+					onImportValue={ handleImportValue }
 					onRemoveGroup={ handleRemoveGroup }
 					onToggleGroup={ handleToggleGroup }
 					onToggleAllGroups={ handleToggleAllGroups }
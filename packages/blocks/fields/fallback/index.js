@@ -0,0 +1,21 @@
+/**
+ * External dependencies.
+ */
+import { addFilter } from '@wordpress/hooks';
+
+/**
+ * Carbon Fields dependencies.
+ */
+import { withProps } from '@carbon-fields/core';
+
+/**
+ * Internal dependencies.
+ */
+import exportFieldValue from '../../utils/export-field-value';
+
+/**
+ * The value is displayed without the ids of the groups.
+ */
+addFilter( 'carbon-fields.fallback.block', 'carbon-fields/blocks', withProps( ( { field, value } ) => ( {
+	value: exportFieldValue( field, value )
+} ) ) );
@@ -1,11 +1,17 @@
 /**
  * External dependencies.
  */
+import { Fragment } from '@wordpress/element';
 import { addFilter } from '@wordpress/hooks';
 
 /**
  * The internal dependencies.
  */
-import NotSupportedField from '../../components/not-supported-field';
+import InlineCodeNotice from '../../components/inline-code-notice';
 
-addFilter( 'carbon-fields.header_scripts.block', 'carbon-fields/blocks', () => ( props ) => <NotSupportedField type={ props.field.type } /> );
+addFilter( 'carbon-fields.header_scripts.block', 'carbon-fields/blocks', ( OriginalTextareaField ) => ( props ) => (
+	<Fragment>
+		<OriginalTextareaField { ...props } />
+		<InlineCodeNotice />
+	</Fragment>
+) );
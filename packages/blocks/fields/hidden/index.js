@@ -1,11 +1,51 @@
 /**
  * External dependencies.
  */
+import { Component } from '@wordpress/element';
 import { addFilter } from '@wordpress/hooks';
+import { select } from '@wordpress/data';
+import { has } from 'lodash';
 
 /**
  * The internal dependencies.
  */
-import NotSupportedField from '../../components/not-supported-field';
+import './style.scss';
 
-addFilter( 'carbon-fields.hidden.block', 'carbon-fields/blocks', () => ( props ) => <NotSupportedField type={ props.field.type } /> );
+addFilter( 'carbon-fields.hidden.block', 'carbon-fields/blocks', ( OriginalHiddenField ) => class extends Component {
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @return {void}
+	 */
+	componentDidMount() {
+		const {
+			id,
+			name,
+			value,
+			blockId,
+			onChange
+		} = this.props;
+
+		// The blocks created before the field was added to the container
+		// don't have its value so we store the default one in the attributes.
+		// The values of the group fields are always set by the complex field.
+		if ( id !== `cf-${ blockId }__${ name }` ) {
+			return;
+		}
+
+		const { data } = select( 'core/editor' ).getBlockAttributes( blockId );
+
+		if ( ! has( data, [ name ] ) ) {
+			onChange( id, value );
+		}
+	}
+
+	/**
+	 * Renders the component.
+	 *
+	 * @return {Object}
+	 */
+	render() {
+		return <OriginalHiddenField { ...this.props } />;
+	}
+} );
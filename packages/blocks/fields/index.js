@@ -37,6 +37,7 @@ addFilter( 'carbon-fields.field-edit.block', 'carbon-fields/blocks', compose(
 import './association';
 import './complex';
 import './datetime';
+import './fallback';
 import './file';
 import './footer-scripts';
 import './header-scripts';
@@ -1,11 +1,46 @@
 /**
  * External dependencies.
  */
+import apiFetch from '@wordpress/api-fetch';
+import { compose } from '@wordpress/compose';
+import { withDispatch } from '@wordpress/data';
 import { addFilter } from '@wordpress/hooks';
 
 /**
- * The internal dependencies.
+ * Carbon Fields dependencies.
  */
-import NotSupportedField from '../../components/not-supported-field';
+import { withProps } from '@carbon-fields/core';
 
-addFilter( 'carbon-fields.sidebar.block', 'carbon-fields/blocks', () => ( props ) => <NotSupportedField type={ props.field.type } /> );
+/**
+ * Creates a new sidebar through the REST API.
+ *
+ * @param  {string} name
+ * @return {Promise}
+ */
+function createSidebar( name ) {
+	return apiFetch( {
+		method: 'post',
+		path: '/carbon-fields/v1/sidebars',
+		data: {
+			name
+		}
+	} )
+		.then( ( sidebar ) => ( {
+			value: sidebar.id,
+			label: sidebar.name
+		} ) )
+		.catch( ( error ) => Promise.reject( error.message ) );
+}
+
+addFilter( 'carbon-fields.sidebar.block', 'carbon-fields/blocks', compose(
+	withProps( () => ( {
+		onCreate: createSidebar
+	} ) ),
+	withDispatch( ( dispatch ) => {
+		const { receiveSidebar } = dispatch( 'carbon-fields/blocks' );
+
+		return {
+			onAdded: receiveSidebar
+		};
+	} )
+) );
@@ -20,6 +20,7 @@ import './store';
 import BlockEdit from './components/block-edit';
 import BlockSave from './components/block-save';
 import transformFieldsToAttributes from './utils/transform-fields-to-attributes';
+import createBlockTransforms from './utils/create-block-transforms';
 
 /**
  * Sets the locale data for the package type
@@ -41,6 +42,8 @@ get( window.cf, 'preloaded.blocks', [] ).forEach( ( container ) => {
 	containerDefinitions[ name ] = container;
 	fieldDefinitions[ name ] = container.fields.map( ( field ) => ( { ...field } ) );
 
+	const example = getBlockSetting( 'example' );
+
 	registerBlockType( `carbon-fields/${ name }`, {
 		title: container.title,
 		icon: getBlockSetting( 'icon' ),
@@ -62,6 +65,25 @@ get( window.cf, 'preloaded.blocks', [] ).forEach( ( container ) => {
 			anchor: false,
 			html: false
 		},
+		variations: getBlockSetting( 'variations', [] ).map( ( { data, ...variation } ) => ( {
+			...variation,
+			attributes: {
+				data: {
+					...fields,
+					...data
+				}
+			}
+		} ) ),
+		transforms: createBlockTransforms( `carbon-fields/${ name }`, getBlockSetting( 'transforms' ), fields ),
+		styles: getBlockSetting( 'styles', [] ),
+		example: example ? {
+			attributes: {
+				data: {
+					...fields,
+					...example
+				}
+			}
+		} : undefined,
 		edit: BlockEdit,
 		save: BlockSave
 	} );
@@ -27,3 +27,16 @@ export function setupFieldDefinitions( definitions ) {
 		}
 	};
 }
+
+/**
+ * Returns an action object used to add the created sidebar to all fields.
+ *
+ * @param  {Object} sidebar
+ * @return {Object}
+ */
+export function receiveSidebar( sidebar ) {
+	return {
+		type: 'RECEIVE_SIDEBAR',
+		payload: sidebar
+	};
+}
@@ -1,7 +1,29 @@
 /**
  * External dependencies.
  */
+import produce from 'immer';
 import { combineReducers } from '@wordpress/data';
+import { forEach } from 'lodash';
+
+/**
+ * Adds the sidebar to the options of the sidebar fields.
+ * The fields of complex groups are visited too.
+ *
+ * @param  {Object[]} fields
+ * @param  {Object}   sidebar
+ * @return {void}
+ */
+function addSidebarToFields( fields, sidebar ) {
+	forEach( fields, ( field ) => {
+		if ( field.type === 'sidebar' ) {
+			field.options.unshift( sidebar );
+		}
+
+		if ( field.type === 'complex' ) {
+			forEach( field.groups, ( group ) => addSidebarToFields( group.fields, sidebar ) );
+		}
+	} );
+}
 
 /**
  * The reducer that keeps track of container definitions keyed by block's name.
@@ -32,6 +54,11 @@ export function fieldDefinitionsByBlockName( state = {}, action ) {
 		case 'SETUP_FIELD_DEFINITIONS':
 			return action.payload.definitions;
 
+		case 'RECEIVE_SIDEBAR':
+			return produce( state, ( draft ) => {
+				forEach( draft, ( fields ) => addSidebarToFields( fields, action.payload ) );
+			} );
+
 		default:
 			return state;
 	}
@@ -0,0 +1,45 @@
+/**
+ * External dependencies.
+ */
+import { createBlock } from '@wordpress/blocks';
+import {
+	get,
+	reduce,
+	flatMap
+} from 'lodash';
+
+/**
+ * Creates the transforms of the block type from the container's settings.
+ *
+ * @param  {string} blockName
+ * @param  {Object} transforms
+ * @param  {Object} defaults
+ * @return {Object}
+ */
+export default function createBlockTransforms( blockName, transforms, defaults ) {
+	const from = get( transforms, 'from', [] ).map( ( { blocks, map } ) => ( {
+		type: 'block',
+		blocks,
+		transform: ( attributes ) => createBlock( blockName, {
+			data: reduce( map, ( data, attributeName, fieldName ) => ( {
+				...data,
+				[ fieldName ]: get( attributes, attributeName, data[ fieldName ] )
+			} ), defaults )
+		} )
+	} ) );
+
+	// Every target gets its own transform so the chosen block type is created.
+	const to = flatMap( get( transforms, 'to', [] ), ( { blocks, map } ) => blocks.map( ( targetBlockName ) => ( {
+		type: 'block',
+		blocks: [ targetBlockName ],
+		transform: ( { data } ) => createBlock( targetBlockName, reduce( map, ( attributes, fieldName, attributeName ) => ( {
+			...attributes,
+			[ attributeName ]: get( data, fieldName )
+		} ), {} ) )
+	} ) ) );
+
+	return {
+		from,
+		to
+	};
+}
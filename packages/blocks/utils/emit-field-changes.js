@@ -0,0 +1,119 @@
+/**
+ * External dependencies.
+ */
+import { doAction } from '@wordpress/hooks';
+import {
+	get,
+	map,
+	find,
+	forEach,
+	isEqual,
+	includes
+} from 'lodash';
+
+/**
+ * Returns the structure of the complex value - ids and types of the groups.
+ *
+ * @param  {Object[]} value
+ * @return {string[]}
+ */
+function getGroupsStructure( value ) {
+	return map( value, ( { _id, _type } ) => `${ _id }:${ _type }` );
+}
+
+/**
+ * Fires the actions for the groups that were added to
+ * or removed from the complex field.
+ *
+ * @param  {Object} payload
+ * @return {void}
+ */
+function emitGroupEvents( payload ) {
+	const { oldValue, newValue } = payload;
+	const oldGroupIds = map( oldValue, '_id' );
+	const newGroupIds = map( newValue, '_id' );
+
+	forEach( oldValue, ( group, index ) => {
+		if ( ! includes( newGroupIds, group._id ) ) {
+			doAction( 'carbon-fields.complex.group-removed', {
+				...payload,
+				group,
+				index
+			} );
+		}
+	} );
+
+	forEach( newValue, ( group, index ) => {
+		if ( ! includes( oldGroupIds, group._id ) ) {
+			doAction( 'carbon-fields.complex.group-added', {
+				...payload,
+				group,
+				index
+			} );
+		}
+	} );
+}
+
+/**
+ * Fires the actions that describe the change of the field's value.
+ * The changes of complex fields are reported only when their groups change,
+ * the changes of the group fields are reported separately. The groups added
+ * by any means, e.g. by cloning, pasting or undoing, are reported too.
+ *
+ * @param  {Object} field
+ * @param  {string} path
+ * @param  {mixed}  oldValue
+ * @param  {mixed}  newValue
+ * @param  {Object} details
+ * @param  {string} details.blockId
+ * @param  {string} details.containerId
+ * @return {void}
+ */
+export default function emitFieldChanges( field, path, oldValue, newValue, details ) {
+	if ( isEqual( oldValue, newValue ) ) {
+		return;
+	}
+
+	const payload = {
+		context: 'block',
+		blockId: details.blockId,
+		containerId: details.containerId,
+		field,
+		path,
+		oldValue,
+		newValue
+	};
+
+	if ( field.type !== 'complex' ) {
+		doAction( 'carbon-fields.field.changed', payload );
+
+		return;
+	}
+
+	if ( ! isEqual( getGroupsStructure( oldValue ), getGroupsStructure( newValue ) ) ) {
+		emitGroupEvents( payload );
+
+		doAction( 'carbon-fields.field.changed', payload );
+	}
+
+	// Visit only the groups that existed before the change.
+	forEach( newValue, ( group, index ) => {
+		const previousGroup = find( oldValue, [ '_id', group._id ] );
+
+		if ( ! previousGroup ) {
+			return;
+		}
+
+		const groupFields = get( find( field.groups, [ 'name', group._type ] ), 'fields', [] );
+
+		groupFields.forEach( ( groupField ) => {
+			emitFieldChanges(
+				groupField,
+				`${ path }[${ index }]:${ group._type }/${ groupField.base_name }`,
+				previousGroup[ groupField.base_name ],
+				group[ groupField.base_name ],
+				details
+			);
+		} );
+	} );
+}
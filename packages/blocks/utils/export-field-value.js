@@ -0,0 +1,40 @@
+/**
+ * External dependencies.
+ */
+import {
+	get,
+	find,
+	isArray
+} from 'lodash';
+
+/**
+ * Carbon Fields dependencies.
+ */
+import { resolveFieldTypeMetadata } from '@carbon-fields/core';
+
+/**
+ * Returns the value of the field in a portable shape.
+ * The groups of complex fields lose their `_id` key
+ * so they can be imported elsewhere.
+ *
+ * @param  {Object} field
+ * @param  {mixed}  value
+ * @return {mixed}
+ */
+export default function exportFieldValue( field, value ) {
+	if ( field.type !== 'complex' ) {
+		return resolveFieldTypeMetadata( field.type ).serialize( value );
+	}
+
+	return ( isArray( value ) ? value : [] ).map( ( group ) => {
+		const groupFields = get( find( field.groups, [ 'name', group._type ] ), 'fields', [] );
+
+		return groupFields.reduce( ( accumulator, groupField ) => {
+			accumulator[ groupField.base_name ] = exportFieldValue( groupField, group[ groupField.base_name ] );
+
+			return accumulator;
+		}, {
+			_type: group._type
+		} );
+	} );
+}
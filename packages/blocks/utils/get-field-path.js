@@ -0,0 +1,48 @@
+/**
+ * External dependencies.
+ */
+import { select } from '@wordpress/data';
+import { get, find } from 'lodash';
+
+/**
+ * Returns the path of the field in the format used by the server,
+ * e.g. `crb_slides[0]:slide/title`.
+ *
+ * @param  {string} fieldId
+ * @param  {string} blockId
+ * @return {string}
+ */
+export default function getFieldPath( fieldId, blockId ) {
+	// Get the block that contains the field.
+	const block = select( 'core/editor' ).getBlock( blockId );
+
+	// Get the path.
+	const path = fieldId.split( '__' );
+
+	// Remove the chunk that contains the block identifier.
+	path.shift();
+
+	// Get the hierarchy.
+	let hierarchy = path.shift();
+	let accessor = `data.${ hierarchy }`;
+
+	// Visit every branch in the tree so we can get the full hierarchy.
+	while ( path.length > 0 ) {
+		const chunk = path.shift();
+		const isGroup = chunk.indexOf( 'cf-' ) === 0;
+
+		if ( isGroup ) {
+			const groups = get( block.attributes, `${ accessor }` );
+			const group = find( groups, [ '_id', chunk ] );
+			const groupIndex = groups.indexOf( group );
+
+			accessor = `${ accessor }.${ groupIndex }`;
+			hierarchy = `${ hierarchy }[${ groupIndex }]:${ group._type }/`;
+		} else {
+			accessor = `${ accessor }.${ chunk }`;
+			hierarchy = `${ hierarchy }${ chunk }`;
+		}
+	}
+
+	return hierarchy;
+}
@@ -0,0 +1,49 @@
+/**
+ * External dependencies.
+ */
+import {
+	has,
+	find,
+	isArray,
+	isPlainObject
+} from 'lodash';
+
+/**
+ * Carbon Fields dependencies.
+ */
+import { uniqueId, resolveFieldTypeMetadata } from '@carbon-fields/core';
+
+/**
+ * Converts a value exported by `exportFieldValue` to the shape
+ * stored in the block attributes. The groups of complex fields
+ * get new ids, the entries with unknown `_type` are skipped
+ * and the missing values are replaced by the default ones.
+ *
+ * @param  {Object} field
+ * @param  {mixed}  value
+ * @return {mixed}
+ */
+export default function importFieldValue( field, value ) {
+	if ( field.type !== 'complex' ) {
+		return resolveFieldTypeMetadata( field.type ).deserialize( value );
+	}
+
+	return ( isArray( value ) ? value : [] ).reduce( ( groups, entry ) => {
+		const definition = isPlainObject( entry ) && find( field.groups, [ 'name', entry._type ] );
+
+		if ( ! definition ) {
+			return groups;
+		}
+
+		return groups.concat( definition.fields.reduce( ( accumulator, groupField ) => {
+			accumulator[ groupField.base_name ] = has( entry, groupField.base_name )
+				? importFieldValue( groupField, entry[ groupField.base_name ] )
+				: groupField.default_value;
+
+			return accumulator;
+		}, {
+			_id: uniqueId(),
+			_type: definition.name
+		} ) );
+	}, [] );
+}
@@ -0,0 +1,36 @@
+/**
+ * External dependencies.
+ */
+import {
+	toString,
+	startsWith,
+	endsWith
+} from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import base from './base';
+
+export default {
+	...base,
+
+	/**
+	 * @inheritdoc
+	 */
+	operators: [ 'STARTS WITH', 'ENDS WITH' ],
+
+	/**
+	 * @inheritdoc
+	 */
+	evaluate( a, operator, b ) {
+		switch ( operator ) {
+			case 'STARTS WITH':
+				return startsWith( toString( a ), toString( b ) );
+			case 'ENDS WITH':
+				return endsWith( toString( a ), toString( b ) );
+			default:
+				return false;
+		}
+	}
+};
@@ -0,0 +1,51 @@
+/**
+ * External dependencies.
+ */
+import { isArray, toNumber } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import base from './base';
+
+/**
+ * Checks whether the value is within the inclusive range.
+ *
+ * @param  {mixed}   value
+ * @param  {Array}   range
+ * @return {boolean}
+ */
+function isBetween( value, range ) {
+	if ( ! isArray( range ) || range.length !== 2 || value === '' ) {
+		return false;
+	}
+
+	const number = toNumber( value );
+	const min = toNumber( range[ 0 ] );
+	const max = toNumber( range[ 1 ] );
+
+	return number >= min && number <= max;
+}
+
+export default {
+	...base,
+
+	/**
+	 * @inheritdoc
+	 */
+	operators: [ 'BETWEEN', 'NOT BETWEEN' ],
+
+	/**
+	 * @inheritdoc
+	 */
+	evaluate( a, operator, b ) {
+		switch ( operator ) {
+			case 'BETWEEN':
+				return isBetween( a, b );
+			case 'NOT BETWEEN':
+				return isArray( b ) && ! isBetween( a, b );
+			default:
+				return false;
+		}
+	}
+};
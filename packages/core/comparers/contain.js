@@ -0,0 +1,34 @@
+/* eslint eqeqeq: "off" */
+
+/**
+ * External dependencies.
+ */
+import { some, every } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import base from './base';
+
+export default {
+	...base,
+
+	/**
+	 * @inheritdoc
+	 */
+	operators: [ 'IN', 'NOT IN' ],
+
+	/**
+	 * @inheritdoc
+	 */
+	evaluate( a, operator, b ) {
+		switch ( operator ) {
+			case 'IN':
+				return some( b, ( item ) => item == a );
+			case 'NOT IN':
+				return every( b, ( item ) => item != a );
+			default:
+				return false;
+		}
+	}
+};
@@ -0,0 +1,71 @@
+/**
+ * External dependencies.
+ */
+import { isString, isNumber, isDate } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import base from './base';
+
+/**
+ * Converts the value of a date or date_time field to a timestamp.
+ * Date only values are treated as local midnight so they can be
+ * compared with date and time values.
+ *
+ * @param  {mixed}  value
+ * @return {number}
+ */
+function toTimestamp( value ) {
+	if ( isDate( value ) ) {
+		return value.getTime();
+	}
+
+	if ( isNumber( value ) ) {
+		return value;
+	}
+
+	if ( ! isString( value ) || value === '' ) {
+		return NaN;
+	}
+
+	if ( value === 'now' ) {
+		return Date.now();
+	}
+
+	if ( /^\d{4}-\d{2}-\d{2}$/.test( value ) ) {
+		value = `${ value } 00:00:00`;
+	}
+
+	return new Date( value.replace( ' ', 'T' ) ).getTime();
+}
+
+export default {
+	...base,
+
+	/**
+	 * @inheritdoc
+	 */
+	operators: [ 'BEFORE', 'AFTER' ],
+
+	/**
+	 * @inheritdoc
+	 */
+	evaluate( a, operator, b ) {
+		a = toTimestamp( a );
+		b = toTimestamp( b );
+
+		if ( isNaN( a ) || isNaN( b ) ) {
+			return false;
+		}
+
+		switch ( operator ) {
+			case 'BEFORE':
+				return a < b;
+			case 'AFTER':
+				return a > b;
+			default:
+				return false;
+		}
+	}
+};
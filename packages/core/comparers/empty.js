@@ -0,0 +1,51 @@
+/**
+ * External dependencies.
+ */
+import {
+	isArray,
+	isPlainObject,
+	isEmpty,
+	isNil
+} from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import base from './base';
+
+/**
+ * Checks whether the value is considered empty.
+ *
+ * @param  {mixed} value
+ * @return {boolean}
+ */
+function isBlank( value ) {
+	if ( isArray( value ) || isPlainObject( value ) ) {
+		return isEmpty( value );
+	}
+
+	return isNil( value ) || value === '' || value === false;
+}
+
+export default {
+	...base,
+
+	/**
+	 * @inheritdoc
+	 */
+	operators: [ 'EMPTY', 'NOT EMPTY' ],
+
+	/**
+	 * @inheritdoc
+	 */
+	evaluate( a, operator ) {
+		switch ( operator ) {
+			case 'EMPTY':
+				return isBlank( a );
+			case 'NOT EMPTY':
+				return ! isBlank( a );
+			default:
+				return false;
+		}
+	}
+};
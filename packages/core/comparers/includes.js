@@ -0,0 +1,32 @@
+/**
+ * External dependencies.
+ */
+import { every, castArray, includes } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import base from './base';
+
+export default {
+	...base,
+
+	/**
+	 * @inheritdoc
+	 */
+	operators: [ 'INCLUDES', 'EXCLUDES' ],
+
+	/**
+	 * @inheritdoc
+	 */
+	evaluate( a, operator, b ) {
+		switch ( operator ) {
+			case 'INCLUDES':
+				return every( castArray( b ), ( item ) => includes( a, item ) );
+			case 'EXCLUDES':
+				return every( castArray( b ), ( item ) => ! includes( a, item ) );
+			default:
+				return false;
+		}
+	}
+};
@@ -0,0 +1,31 @@
+/**
+ * Internal dependencies.
+ */
+import { registerComparer } from '../registry/comparers';
+import equality from './equality';
+import contain from './contain';
+import strictContain from './strict-contain';
+import scalar from './scalar';
+import includes from './includes';
+import anyEquality from './any-equality';
+import anyContain from './any-contain';
+import regex from './regex';
+import empty from './empty';
+import between from './between';
+import affix from './affix';
+import length from './length';
+import date from './date';
+
+registerComparer( 'equality', equality );
+registerComparer( 'contain', contain );
+registerComparer( 'scalar', scalar );
+registerComparer( 'includes', includes );
+registerComparer( 'any-equality', anyEquality );
+registerComparer( 'any-contain', anyContain );
+registerComparer( 'regex', regex );
+registerComparer( 'empty', empty );
+registerComparer( 'between', between );
+registerComparer( 'affix', affix );
+registerComparer( 'length', length );
+registerComparer( 'date', date );
+registerComparer( 'strict-contain', strictContain );
@@ -0,0 +1,50 @@
+/**
+ * External dependencies.
+ */
+import {
+	find,
+	size,
+	isNil,
+	toNumber
+} from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import base from './base';
+import equality from './equality';
+import scalar from './scalar';
+
+export default {
+	...base,
+
+	/**
+	 * @inheritdoc
+	 */
+	operators: [
+		'LENGTH =',
+		'LENGTH !=',
+		'LENGTH >',
+		'LENGTH >=',
+		'LENGTH <',
+		'LENGTH <='
+	],
+
+	/**
+	 * @inheritdoc
+	 */
+	evaluate( a, operator, b ) {
+		const length = isNil( a ) ? 0 : size( a );
+
+		// Strip the `LENGTH ` prefix and delegate to the plain comparers.
+		operator = operator.replace( /^LENGTH /, '' );
+
+		const comparer = find( [ equality, scalar ], ( item ) => item.isOperatorSupported( operator ) );
+
+		if ( ! comparer ) {
+			return false;
+		}
+
+		return comparer.evaluate( length, operator, toNumber( b ) );
+	}
+};
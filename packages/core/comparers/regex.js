@@ -0,0 +1,46 @@
+/* eslint no-console: [ 'error', { allow: [ 'error' ] } ] */
+
+/**
+ * External dependencies.
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { toString } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import base from './base';
+import createRegExp from '../utils/create-reg-exp';
+
+export default {
+	...base,
+
+	/**
+	 * @inheritdoc
+	 */
+	operators: [ 'REGEX', 'NOT REGEX' ],
+
+	/**
+	 * @inheritdoc
+	 */
+	evaluate( a, operator, b ) {
+		let regExp;
+
+		try {
+			regExp = createRegExp( toString( b ) );
+		} catch ( e ) {
+			console.error( sprintf( __( 'Invalid conditional logic pattern - %s', 'carbon-fields-ui' ), e.message ) );
+
+			return false;
+		}
+
+		switch ( operator ) {
+			case 'REGEX':
+				return regExp.test( toString( a ) );
+			case 'NOT REGEX':
+				return ! regExp.test( toString( a ) );
+			default:
+				return false;
+		}
+	}
+};
@@ -3,6 +3,10 @@
  */
 import base from './base';
 
+/**
+ * Unlike `contain` the values are compared strictly.
+ * It's used by the conditions of the containers.
+ */
 export default {
 	...base,
 
@@ -28,8 +28,20 @@ const DISABLED_ELIGIBLE_NODE_NAMES = [
 	'TEXTAREA'
 ];
 
+/**
+ * Names of control nodes which support the readonly attribute.
+ *
+ * @type {string[]}
+ */
+const READONLY_ELIGIBLE_NODE_NAMES = [
+	'INPUT',
+	'TEXTAREA'
+];
+
 /**
  * Disables descendant tabbable elements and prevents pointer interaction.
+ * In read-only mode the controls aren't disabled so their values
+ * are still submitted with the form.
  *
  * @borrows https://github.com/WordPress/gutenberg/blob/master/packages/components/src/disabled/index.js
  */
@@ -72,6 +84,8 @@ class Disabled extends Component {
 	 * @return {void}
 	 */
 	disable = debounce( () => {
+		const { readOnly } = this.props;
+
 		this.node.current.querySelectorAll( `
 			[tabindex],
 			button:not([disabled]),
@@ -83,12 +97,23 @@ class Disabled extends Component {
 			embed,
 			[contenteditable]:not([contenteditable=false])
 		` ).forEach( ( node ) => {
-			if ( includes( DISABLED_ELIGIBLE_NODE_NAMES, node.nodeName ) ) {
-				node.setAttribute( 'disabled', '' );
-			}
+			if ( readOnly ) {
+				if ( includes( READONLY_ELIGIBLE_NODE_NAMES, node.nodeName ) && ! node.hasAttribute( 'readonly' ) ) {
+					node.setAttribute( 'readonly', '' );
+				}
+
+				// Keep the node out of the tab order without disabling it.
+				if ( node.getAttribute( 'tabindex' ) !== '-1' ) {
+					node.setAttribute( 'tabindex', '-1' );
+				}
+			} else {
+				if ( includes( DISABLED_ELIGIBLE_NODE_NAMES, node.nodeName ) ) {
+					node.setAttribute( 'disabled', '' );
+				}
 
-			if ( node.hasAttribute( 'tabindex' ) ) {
-				node.removeAttribute( 'tabindex' );
+				if ( node.hasAttribute( 'tabindex' ) ) {
+					node.removeAttribute( 'tabindex' );
+				}
 			}
 
 			if ( node.hasAttribute( 'contenteditable' ) ) {
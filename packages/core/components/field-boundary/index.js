@@ -0,0 +1,64 @@
+/* eslint no-console: [ 'error', { allow: [ 'error' ] } ] */
+
+/**
+ * External dependencies.
+ */
+import { Component } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+
+class FieldBoundary extends Component {
+	/**
+	 * Local state.
+	 *
+	 * @type {Object}
+	 */
+	state = {
+		error: null
+	};
+
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @param  {Error} error
+	 * @return {Object}
+	 */
+	static getDerivedStateFromError( error ) {
+		return {
+			error
+		};
+	}
+
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @param  {Error}  error
+	 * @param  {Object} info
+	 * @return {void}
+	 */
+	componentDidCatch( error, info ) {
+		const { field } = this.props;
+
+		console.error(
+			sprintf(
+				__( 'Field %1$s of type %2$s failed to render and was replaced by a read-only fallback.', 'carbon-fields-ui' ),
+				field.base_name,
+				field.type
+			),
+			error,
+			info.componentStack
+		);
+	}
+
+	/**
+	 * Renders the component.
+	 *
+	 * @return {Object}
+	 */
+	render() {
+		const { fallback, children } = this.props;
+
+		return this.state.error ? fallback : children;
+	}
+}
+
+export default FieldBoundary;
@@ -4,7 +4,8 @@
 import cx from 'classnames';
 import { compose } from '@wordpress/compose';
 import { withSelect } from '@wordpress/data';
-import { kebabCase } from 'lodash';
+import { __ } from '@wordpress/i18n';
+import { kebabCase, castArray } from 'lodash';
 
 /**
  * Internal dependencies.
@@ -19,8 +20,13 @@ import withFilters from '../../hocs/with-filters';
  * @param  {Object}  props
  * @param  {string}  props.id
  * @param  {Object}  props.field
- * @param  {?string} props.error
+ * @param  {mixed}   props.error
+ * @param  {boolean} props.validating
  * @param  {boolean} props.hidden
+ * @param  {boolean} props.required
+ * @param  {boolean} props.disabled
+ * @param  {boolean} props.modified
+ * @param  {Function} props.onRevert
  * @param  {string}  props.className
  * @param  {mixed}   props.children
  * @return {Object}
@@ -29,7 +35,12 @@ function Field( {
 	id,
 	field,
 	error,
+	validating,
 	hidden,
+	required,
+	disabled,
+	modified,
+	onRevert,
 	className,
 	children
 } ) {
@@ -40,7 +51,10 @@ function Field( {
 		`cf-${ kebabCase( field.type ) }`,
 		{
 			'cf-field--has-width': !! field.width,
-			'cf-field--invalid': !! error
+			'cf-field--invalid': !! error,
+			'cf-field--validating': validating,
+			'cf-field--disabled': disabled,
+			'cf-field--modified': modified
 		},
 		className,
 		...field.classes
@@ -57,19 +71,36 @@ function Field( {
 					<label className="cf-field__label" htmlFor={ id }>
 						{ field.label }
 
-						{ field.required && (
+						{ required && (
 							<span className="cf-field__asterisk">*</span>
 						) }
 					</label>
 				) }
+
+				{ modified && (
+					<button
+						type="button"
+						className="cf-field__modified"
+						title={ __( 'Revert to the saved value', 'carbon-fields-ui' ) }
+						onClick={ onRevert }
+					>
+						{ __( 'Modified', 'carbon-fields-ui' ) }
+					</button>
+				) }
 			</div>
 
-			{ ! hidden && (
+			{ ! hidden && ! disabled && (
 				<div className="cf-field__body">
 					{ children }
 				</div>
 			) }
 
+			{ ! hidden && disabled && (
+				<Disabled className="cf-field__body" readOnly>
+					{ children }
+				</Disabled>
+			) }
+
 			{ hidden && (
 				<Disabled className="cf-field__body">
 					{ children }
@@ -80,22 +111,37 @@ function Field( {
 				<em className="cf-field__help" dangerouslySetInnerHTML={ { __html: field.help_text } }></em>
 			) }
 
-			{ error && (
-				<span className="cf-field__error">
-					{ error }
+			{ validating && (
+				<span className="cf-field__validating">
+					{ __( 'Validating...', 'carbon-fields-ui' ) }
 				</span>
 			) }
+
+			{ error && castArray( error ).map( ( message, index ) => (
+				<span key={ index } className="cf-field__error">
+					{ message }
+				</span>
+			) ) }
 		</div>
 	);
 }
 
 export default compose(
 	withSelect( ( select, props ) => {
-		const { getValidationError, isFieldVisible } = select( 'carbon-fields/core' );
+		const {
+			getValidationError,
+			isFieldValidating,
+			isFieldVisible,
+			isFieldRequired,
+			isFieldDisabled
+		} = select( 'carbon-fields/core' );
 
 		return {
 			error: getValidationError( props.id ),
-			hidden: ! isFieldVisible( props.id )
+			validating: isFieldValidating( props.id ),
+			hidden: ! isFieldVisible( props.id ),
+			required: !! props.field.required || isFieldRequired( props.id ),
+			disabled: isFieldDisabled( props.id )
 		};
 	} ),
 	withFilters( 'carbon-fields.field-wrapper' )
@@ -0,0 +1,47 @@
+/**
+ * External dependencies.
+ */
+import {
+	map,
+	isNil,
+	isArray,
+	isObject,
+	isBoolean
+} from 'lodash';
+
+/**
+ * Renders the hidden inputs that keep the value in the submitted form.
+ * Nested values use the bracket notation understood by PHP.
+ *
+ * @param  {Object} props
+ * @param  {string} props.name
+ * @param  {mixed}  props.value
+ * @return {Object}
+ */
+function HiddenInputs( { name, value } ) {
+	if ( isArray( value ) || isObject( value ) ) {
+		return map( value, ( item, key ) => (
+			<HiddenInputs
+				key={ key }
+				name={ `${ name }[${ key }]` }
+				value={ item }
+			/>
+		) );
+	}
+
+	if ( isNil( value ) ) {
+		value = '';
+	} else if ( isBoolean( value ) ) {
+		value = value ? '1' : '';
+	}
+
+	return (
+		<input
+			type="hidden"
+			name={ name }
+			value={ value }
+		/>
+	);
+}
+
+export default HiddenInputs;
@@ -34,6 +34,21 @@ import './style.scss';
 import SearchInput from '../../components/search-input';
 import Sortable from '../../components/sortable';
 import apiFetch from '../../utils/api-fetch';
+import getVisibleRange from '../../utils/get-visible-range';
+
+/**
+ * The height of a single option in pixels.
+ *
+ * @type {number}
+ */
+const OPTION_HEIGHT = 32;
+
+/**
+ * The maximum height of the lists in pixels.
+ *
+ * @type {number}
+ */
+const LIST_HEIGHT = 160;
 
 class AssociationField extends Component {
 	/**
@@ -73,6 +88,7 @@ class AssociationField extends Component {
 		}
 
 		this.sourceList.current.addEventListener( 'scroll', this.handleSourceListScroll );
+		this.selectedList.current.addEventListener( 'scroll', this.handleSelectedListScroll );
 	}
 
 	/**
@@ -82,6 +98,7 @@ class AssociationField extends Component {
 	 */
 	componentWillUnmount() {
 		this.sourceList.current.removeEventListener( 'scroll', this.handleSourceListScroll );
+		this.selectedList.current.removeEventListener( 'scroll', this.handleSelectedListScroll );
 	}
 
 	/**
@@ -100,6 +117,10 @@ class AssociationField extends Component {
 
 		const sourceList = this.sourceList.current;
 
+		setState( {
+			sourceScrollTop: sourceList.scrollTop
+		} );
+
 		if ( sourceList.offsetHeight + sourceList.scrollTop === sourceList.scrollHeight ) {
 			setState( {
 				page: page + 1
@@ -114,6 +135,19 @@ class AssociationField extends Component {
 		}
 	}
 
+	/**
+	 * Handles the scroll event of the selected list.
+	 *
+	 * @return {void}
+	 */
+	handleSelectedListScroll = () => {
+		const { setState } = this.props;
+
+		setState( {
+			selectedScrollTop: this.selectedList.current.scrollTop
+		} );
+	}
+
 	/**
 	 * Handles the change of search.
 	 *
@@ -228,7 +262,9 @@ class AssociationField extends Component {
 			totalOptionsCount,
 			selectedOptions,
 			queryTerm,
-			isLoading
+			isLoading,
+			sourceScrollTop,
+			selectedScrollTop
 		} = this.props;
 
 		let { options } = this.props;
@@ -247,6 +283,21 @@ class AssociationField extends Component {
 			} );
 		}
 
+		// Only the options around the visible part of the lists are rendered.
+		const sourceRange = getVisibleRange( {
+			count: options.length,
+			itemHeight: OPTION_HEIGHT,
+			scrollTop: sourceScrollTop,
+			viewportHeight: LIST_HEIGHT
+		} );
+
+		const selectedRange = getVisibleRange( {
+			count: value.length,
+			itemHeight: OPTION_HEIGHT,
+			scrollTop: selectedScrollTop,
+			viewportHeight: LIST_HEIGHT
+		} );
+
 		return (
 			<Fragment>
 				<div className="cf-association__bar">
@@ -272,10 +323,12 @@ class AssociationField extends Component {
 
 				<div className="cf-association__cols">
 					<div className="cf-association__col" ref={ this.sourceList }>
+						<div className="cf-association__spacer" style={ { height: sourceRange.before } }></div>
+
 						{
-							options.map( ( option, index ) => {
+							options.slice( sourceRange.start, sourceRange.end ).map( ( option, index ) => {
 								return (
-									<div className={ cx( 'cf-association__option', { 'cf-association__option--selected': option.disabled } ) } key={ index }>
+									<div className={ cx( 'cf-association__option', { 'cf-association__option--selected': option.disabled } ) } key={ sourceRange.start + index }>
 										{ option.thumbnail && (
 											<img className="cf-association__option-thumb" src={ option.thumbnail } />
 										) }
@@ -307,6 +360,8 @@ class AssociationField extends Component {
 								);
 							} )
 						}
+
+						<div className="cf-association__spacer" style={ { height: sourceRange.after } }></div>
 					</div>
 
 					<Sortable
@@ -324,6 +379,21 @@ class AssociationField extends Component {
 						<div className="cf-association__col" ref={ this.selectedList }>
 							{
 								!! selectedOptions.length && value.map( ( option, index ) => {
+									// The rows outside of the visible part keep only their input
+									// so the order of the items can still be changed by sorting.
+									if ( index < selectedRange.start || index >= selectedRange.end ) {
+										return (
+											<div className="cf-association__option cf-association__option--placeholder" key={ index }>
+												<input
+													type="hidden"
+													name={ `${ name }[${ index }]` }
+													value={ `${ option.type }:${ option.subtype }:${ option.id }` }
+													readOnly
+												/>
+											</div>
+										);
+									}
+
 									const optionData = selectedOptions.find( ( selectedOption ) => {
 										return selectedOption.id === option.id
 											&& selectedOption.type === option.type
@@ -494,7 +564,9 @@ const applyWithState = withState( {
 	totalOptionsCount: 0,
 	queryTerm: '',
 	page: 1,
-	isLoading: false
+	isLoading: false,
+	sourceScrollTop: 0,
+	selectedScrollTop: 0
 } );
 
 const applyWithEffects = withEffects( aperture, { handler } );
@@ -0,0 +1,66 @@
+/**
+ * External dependencies.
+ */
+import {
+	isString,
+	isPlainObject
+} from 'lodash';
+
+/**
+ * Identifies the groups placed on the clipboard.
+ *
+ * @type {string}
+ */
+export const CLIPBOARD_FORMAT = 'carbon-fields/complex-group';
+
+/**
+ * The version of the format. It should be increased
+ * when the shape of the group changes.
+ *
+ * @type {number}
+ */
+export const CLIPBOARD_VERSION = 1;
+
+/**
+ * Converts the group to the text placed on the clipboard.
+ * The group is an object with `_type` key and values keyed by
+ * the names of the group fields.
+ *
+ * @param  {Object} group
+ * @return {string}
+ */
+export function serializeGroup( group ) {
+	return JSON.stringify( {
+		format: CLIPBOARD_FORMAT,
+		version: CLIPBOARD_VERSION,
+		group
+	} );
+}
+
+/**
+ * Extracts the group from the text read from the clipboard.
+ *
+ * @param  {string}  text
+ * @return {?Object}
+ */
+export function parseGroup( text ) {
+	let data;
+
+	try {
+		data = JSON.parse( text );
+	} catch ( e ) {
+		return null;
+	}
+
+	if (
+		! isPlainObject( data )
+		|| data.format !== CLIPBOARD_FORMAT
+		|| ! ( data.version > 0 && data.version <= CLIPBOARD_VERSION )
+		|| ! isPlainObject( data.group )
+		|| ! isString( data.group._type )
+	) {
+		return null;
+	}
+
+	return data.group;
+}
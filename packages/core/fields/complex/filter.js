@@ -0,0 +1,88 @@
+/**
+ * External dependencies.
+ */
+import {
+	has,
+	omit,
+	every,
+	isNil,
+	isArray,
+	isObject,
+	isBoolean,
+	flatMap
+} from 'lodash';
+
+/**
+ * The keys that identify the groups of nested complex fields.
+ *
+ * @type {string[]}
+ */
+const GROUP_KEYS = [
+	'_id',
+	'_type'
+];
+
+/**
+ * The keys that identify the objects selected in association fields.
+ *
+ * @type {string[]}
+ */
+const ASSOCIATION_KEYS = [
+	'id',
+	'type',
+	'subtype'
+];
+
+/**
+ * Returns whether the value is an object selected in an association field.
+ *
+ * @param  {Object} value
+ * @return {boolean}
+ */
+function isAssociationObject( value ) {
+	return every( ASSOCIATION_KEYS, ( key ) => has( value, key ) );
+}
+
+/**
+ * Returns the texts contained in the exported value of a field.
+ * The nested values (e.g. of sets or groups) are walked recursively.
+ *
+ * @param  {mixed} value
+ * @return {string[]}
+ */
+export function getSearchableTexts( value ) {
+	if ( isNil( value ) || isBoolean( value ) ) {
+		return [];
+	}
+
+	if ( isArray( value ) ) {
+		return flatMap( value, getSearchableTexts );
+	}
+
+	if ( isObject( value ) ) {
+		const keys = isAssociationObject( value ) ? [ ...GROUP_KEYS, ...ASSOCIATION_KEYS ] : GROUP_KEYS;
+
+		return flatMap( omit( value, keys ), getSearchableTexts );
+	}
+
+	return [ String( value ) ];
+}
+
+/**
+ * Returns whether the group matches the term. The term is searched
+ * in the label of the group and the exported values of its fields.
+ *
+ * @param  {string} term
+ * @param  {string} label
+ * @param  {Object} entry
+ * @return {boolean}
+ */
+export function isGroupMatching( term, label, entry ) {
+	const needle = term.trim().toLowerCase();
+
+	if ( ! needle ) {
+		return true;
+	}
+
+	return [ label, ...flatMap( omit( entry, '_type' ), getSearchableTexts ) ].some( ( text ) => String( text ).toLowerCase().indexOf( needle ) > -1 );
+}
@@ -0,0 +1,36 @@
+/**
+ * Internal dependencies.
+ */
+import FieldBoundary from '../../components/field-boundary';
+import { resolveFieldType, getFallbackFieldType } from '../../registry/fields';
+
+/**
+ * Renders a field of group. The fields of lazy groups keep the same
+ * component instance and only their interface isn't mounted, so they
+ * are still validated and evaluated by the conditional logic.
+ *
+ * @param  {Object}  field
+ * @param  {Object}  groupProps
+ * @param  {boolean} lazy
+ * @return {Object}
+ */
+export default function renderGroupField( field, groupProps, lazy ) {
+	const { context, onFieldSetup } = groupProps;
+	const [ Field, props ] = onFieldSetup( field, {}, groupProps );
+
+	const FieldEdit = resolveFieldType( field.type, context );
+	const FallbackEdit = getFallbackFieldType( context );
+
+	// The nested repeaters stay mounted since they handle their own groups.
+	const headless = lazy && field.type !== 'complex';
+
+	return (
+		// The `key` will be assigned via `onFieldSetup`.
+		// eslint-disable-next-line react/jsx-key
+		<Field { ...props }>
+			<FieldBoundary field={ field } fallback={ <FallbackEdit { ...props } headless={ headless } /> }>
+				<FieldEdit { ...props } headless={ headless } />
+			</FieldBoundary>
+		</Field>
+	);
+}
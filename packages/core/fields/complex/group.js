@@ -2,15 +2,131 @@
  * External dependencies.
  */
 import cx from 'classnames';
-import { Component } from '@wordpress/element';
+import { Component, createRef } from '@wordpress/element';
 import { __ } from '@wordpress/i18n';
 
 /**
  * Internal dependencies.
  */
-import { getFieldType } from '../../registry/fields';
+import renderGroupField from './group-field';
+
+/**
+ * The distance from the viewport at which the groups get their fields mounted.
+ *
+ * @type {string}
+ */
+const VIEWPORT_MARGIN = '400px 0px';
+
+/**
+ * Keeps track of the observed groups by their element.
+ *
+ * @type {Map}
+ */
+const observed = new Map();
+
+/**
+ * The observer is shared between all groups since a repeater can hold thousands of them.
+ *
+ * @type {IntersectionObserver|null}
+ */
+let observer = null;
+
+/**
+ * Returns the shared observer or `null` if the browser doesn't support it.
+ *
+ * @return {IntersectionObserver|null}
+ */
+function getObserver() {
+	if ( ! observer && typeof window.IntersectionObserver === 'function' ) {
+		observer = new window.IntersectionObserver( ( entries ) => {
+			entries.forEach( ( entry ) => {
+				const group = observed.get( entry.target );
+
+				if ( group ) {
+					group.handleIntersection( entry );
+				}
+			} );
+		}, {
+			rootMargin: VIEWPORT_MARGIN
+		} );
+	}
+
+	return observer;
+}
 
 class ComplexGroup extends Component {
+	/**
+	 * Local state.
+	 *
+	 * The groups are considered to be in the viewport when
+	 * the browser can't tell otherwise.
+	 *
+	 * @type {Object}
+	 */
+	state = {
+		inViewport: getObserver() === null,
+		height: null
+	};
+
+	/**
+	 * Keeps reference to the DOM node.
+	 *
+	 * @type {Object}
+	 */
+	node = createRef();
+
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @return {void}
+	 */
+	componentDidMount() {
+		const intersectionObserver = getObserver();
+
+		if ( intersectionObserver && this.node.current ) {
+			observed.set( this.node.current, this );
+			intersectionObserver.observe( this.node.current );
+		}
+	}
+
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @return {void}
+	 */
+	componentWillUnmount() {
+		const intersectionObserver = getObserver();
+
+		if ( intersectionObserver && this.node.current ) {
+			intersectionObserver.unobserve( this.node.current );
+			observed.delete( this.node.current );
+		}
+	}
+
+	/**
+	 * Handles the changes of the group's visibility in the viewport.
+	 * The height is remembered while the group is displayed so
+	 * the page doesn't jump once its fields are unmounted.
+	 *
+	 * @param  {IntersectionObserverEntry} entry
+	 * @return {void}
+	 */
+	handleIntersection = ( entry ) => {
+		const { collapsed, hidden } = this.props;
+		const { inViewport } = this.state;
+
+		if ( entry.isIntersecting === inViewport ) {
+			return;
+		}
+
+		this.setState( {
+			inViewport: entry.isIntersecting,
+			height: entry.isIntersecting || collapsed || hidden
+				? null
+				: entry.boundingClientRect.height
+		} );
+	}
+
 	/**
 	 * Handles the click on the "Toggle" button.
 	 *
@@ -39,6 +155,34 @@ class ComplexGroup extends Component {
 		onClone( id );
 	}
 
+	/**
+	 * Handles the click on the "Copy" button.
+	 *
+	 * @return {void}
+	 */
+	handleCopyClick = () => {
+		const {
+			id,
+			onCopy
+		} = this.props;
+
+		onCopy( id );
+	}
+
+	/**
+	 * Handles the click on the "Paste" button.
+	 *
+	 * @return {void}
+	 */
+	handlePasteClick = () => {
+		const {
+			id,
+			onPaste
+		} = this.props;
+
+		onPaste( id );
+	}
+
 	/**
 	 * Handles the click on the "Remove" button.
 	 *
@@ -68,19 +212,32 @@ class ComplexGroup extends Component {
 			hidden,
 			dragged,
 			collapsed,
+			current,
 			allowClone,
-			fields,
-			context,
-			onFieldSetup
+			allowPaste,
+			fields
 		} = this.props;
 
+		const {
+			inViewport,
+			height
+		} = this.state;
+
+		// The fields of the groups which aren't displayed or are far from
+		// the viewport are mounted without interface.
+		const lazy = tabbed ? hidden : ( collapsed || ! inViewport );
+
+		// The body of the group keeps its height until the interface is back.
+		const placeholder = ! tabbed && ! collapsed && ! inViewport && height;
+
 		const groupClasses = cx(
 			'cf-complex__group',
 			{
 				'cf-complex__group--grid': ! tabbed,
 				'cf-complex__group--tabbed': tabbed,
 				'cf-complex__group--collapsed': collapsed,
-				'cf-complex__group--dragged': dragged
+				'cf-complex__group--dragged': dragged,
+				'cf-complex__group--current-match': current
 			}
 		);
 
@@ -102,7 +259,12 @@ class ComplexGroup extends Component {
 		);
 
 		return (
-			<div className={ groupClasses } hidden={ hidden }>
+			<div
+				ref={ this.node }
+				className={ groupClasses }
+				style={ placeholder ? { minHeight: height } : undefined }
+				hidden={ hidden }
+			>
 				{ name && (
 					<input
 						type="hidden"
@@ -125,23 +287,7 @@ class ComplexGroup extends Component {
 
 				{ ! dragged && (
 					<div className="cf-complex__group-body" hidden={ ! tabbed && collapsed }>
-						{ fields.map( ( field ) => {
-							const FieldEdit = getFieldType( field.type, context );
-
-							if ( ! FieldEdit ) {
-								return null;
-							}
-
-							const [ Field, props ] = onFieldSetup( field, {}, this.props );
-
-							return (
-								// The `key` will be assigned via `onFieldSetup`.
-								// eslint-disable-next-line react/jsx-key
-								<Field { ...props }>
-									<FieldEdit { ...props } />
-								</Field>
-							);
-						} ) }
+						{ fields.map( ( field ) => renderGroupField( field, this.props, lazy ) ) }
 					</div>
 				) }
 
@@ -156,6 +302,24 @@ class ComplexGroup extends Component {
 						</button>
 					) }
 
+					<button type="button" className="cf-complex__group-action" onClick={ this.handleCopyClick }>
+						<span className="dashicons-before dashicons-clipboard cf-complex__group-action-icon"></span>
+
+						<span className="cf-complex__group-action-text">
+							{ __( 'Copy', 'carbon-fields-ui' ) }
+						</span>
+					</button>
+
+					{ allowPaste && (
+						<button type="button" className="cf-complex__group-action" onClick={ this.handlePasteClick }>
+							<span className="dashicons-before dashicons-editor-paste-text cf-complex__group-action-icon"></span>
+
+							<span className="cf-complex__group-action-text">
+								{ __( 'Paste after', 'carbon-fields-ui' ) }
+							</span>
+						</button>
+					) }
+
 					<button type="button" className="cf-complex__group-action" onClick={ this.handleRemoveClick }>
 						<span className="dashicons-before dashicons-trash cf-complex__group-action-icon"></span>
 
@@ -1,7 +1,11 @@
 /**
  * External dependencies.
  */
-import { addFilter } from '@wordpress/hooks';
+import {
+	addAction,
+	addFilter,
+	removeAction
+} from '@wordpress/hooks';
 import {
 	Component,
 	Fragment,
@@ -11,9 +15,14 @@ import { __, sprintf } from '@wordpress/i18n';
 import {
 	get,
 	find,
+	without,
 	isEmpty,
 	isString,
-	template
+	template,
+	uniqBy,
+	flatMap,
+	noop,
+	uniqueId
 } from 'lodash';
 
 /**
@@ -21,10 +30,34 @@ import {
  */
 import './style.scss';
 import Sortable from '../../components/sortable';
+import SearchInput from '../../components/search-input';
 import ComplexTabs from './tabs';
 import ComplexInserter from './inserter';
 import ComplexGroup from './group';
+import ComplexTable from './table';
+import ComplexRow from './row';
 import ComplexPlaceholder from './placeholder';
+import { serializeGroup, parseGroup } from './clipboard';
+import { serializeValue, parseValue, validateValue } from './json';
+import { isGroupMatching } from './filter';
+import { writeClipboard, readClipboard } from '../../utils/clipboard';
+import { downloadFile, readFile } from '../../utils/files';
+
+/**
+ * The types of fields whose cells can be filled with text copied from a spreadsheet.
+ *
+ * @type {string[]}
+ */
+const PASTABLE_FIELD_TYPES = [
+	'text',
+	'textarea',
+	'select',
+	'radio',
+	'color',
+	'date',
+	'time',
+	'date_time'
+];
 
 class ComplexField extends Component {
 	/**
@@ -41,6 +74,13 @@ class ComplexField extends Component {
 	 */
 	tabsList = createRef();
 
+	/**
+	 * Keeps reference to the input used to select the imported file.
+	 *
+	 * @type {Object}
+	 */
+	importInput = createRef();
+
 	/**
 	 * Local state.
 	 *
@@ -48,9 +88,37 @@ class ComplexField extends Component {
 	 */
 	state = {
 		currentDraggedGroup: null,
-		currentTab: get( this.props.value, `0.${ this.props.groupIdKey }`, null )
+		currentTab: get( this.props.value, `0.${ this.props.groupIdKey }`, null ),
+		filterTerm: '',
+		currentMatch: null,
+		revealedGroups: []
 	};
 
+	/**
+	 * The namespace used to listen for hooks.
+	 *
+	 * @type {string}
+	 */
+	namespace = uniqueId( 'carbon-fields/core/complex-' );
+
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @return {void}
+	 */
+	componentDidMount() {
+		addAction( 'carbon-fields.reveal-field', this.namespace, this.handleRevealField );
+	}
+
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @return {void}
+	 */
+	componentWillUnmount() {
+		removeAction( 'carbon-fields.reveal-field', this.namespace );
+	}
+
 	/**
 	 * Returns true if the field is using tabs for the layout.
 	 *
@@ -60,6 +128,15 @@ class ComplexField extends Component {
 		return this.props.field.layout.indexOf( 'tabbed' ) > -1;
 	}
 
+	/**
+	 * Returns true if the field is using a table for the layout.
+	 *
+	 * @return {boolean}
+	 */
+	get isTable() {
+		return this.props.field.layout === 'table';
+	}
+
 	/**
 	 * Returns true if the maximum number of entries is reached.
 	 *
@@ -113,6 +190,21 @@ class ComplexField extends Component {
 		return field.groups.filter( ( { name } ) => existingGroupNames.indexOf( name ) === -1 );
 	}
 
+	/**
+	 * Returns the columns of the table. The fields of all groups
+	 * are merged by their names.
+	 *
+	 * @return {Object[]}
+	 */
+	getTableColumns() {
+		const { field } = this.props;
+
+		return uniqBy( flatMap( field.groups, 'fields' ), 'base_name' ).map( ( groupField ) => ( {
+			name: groupField.base_name,
+			label: groupField.label
+		} ) );
+	}
+
 	/**
 	 * Returns a list of labels of existing groups.
 	 *
@@ -153,6 +245,37 @@ class ComplexField extends Component {
 		} );
 	}
 
+	/**
+	 * Returns whether the groups are filtered.
+	 *
+	 * @return {boolean}
+	 */
+	get isFiltered() {
+		return this.state.filterTerm.trim() !== '';
+	}
+
+	/**
+	 * Returns the ids of the groups that match the filter.
+	 *
+	 * @param  {string[]} groupLabels
+	 * @return {string[]}
+	 */
+	getMatchingGroupIds( groupLabels ) {
+		const { filterTerm } = this.state;
+		const {
+			value,
+			groupIdKey,
+			onExportValue
+		} = this.props;
+
+		// The exported values don't contain the internal data of the groups.
+		const entries = onExportValue();
+
+		return value
+			.filter( ( group, index ) => isGroupMatching( filterTerm, groupLabels[ index ], get( entries, index, {} ) ) )
+			.map( ( group ) => group[ groupIdKey ] );
+	}
+
 	/**
 	 * Handles adding of group.
 	 *
@@ -187,6 +310,236 @@ class ComplexField extends Component {
 		} );
 	}
 
+	/**
+	 * Returns the reason why the group can't be pasted.
+	 *
+	 * @param  {?Object} group
+	 * @return {?string}
+	 */
+	getPasteError( group ) {
+		const {
+			field,
+			value,
+			groupFilterKey
+		} = this.props;
+
+		if ( ! group ) {
+			return __( 'The clipboard doesn\'t contain a copied entry.', 'carbon-fields-ui' );
+		}
+
+		if ( ! find( field.groups, [ 'name', group._type ] ) ) {
+			return sprintf( __( 'Entries of type "%s" can\'t be added to this field.', 'carbon-fields-ui' ), group._type );
+		}
+
+		if ( this.isMaximumReached ) {
+			return __( 'The maximum number of entries is reached.', 'carbon-fields-ui' );
+		}
+
+		if ( ! field.duplicate_groups_allowed && find( value, [ groupFilterKey, group._type ] ) ) {
+			return sprintf( __( 'Only one entry of type "%s" is allowed.', 'carbon-fields-ui' ), group._type );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Handles copying of group to the clipboard.
+	 *
+	 * @param  {string} groupId
+	 * @return {void}
+	 */
+	handleCopyGroup = ( groupId ) => {
+		const { onCopyGroup } = this.props;
+
+		const group = this.findGroup( groupId );
+
+		writeClipboard( serializeGroup( onCopyGroup( group ) ) ).catch( () => {
+			/* eslint-disable-next-line no-alert */
+			alert( __( 'The entry couldn\'t be copied to the clipboard.', 'carbon-fields-ui' ) );
+		} );
+	}
+
+	/**
+	 * Handles pasting of group from the clipboard.
+	 * The group is inserted after the given one or at the end.
+	 *
+	 * @param  {string} [groupId]
+	 * @return {void}
+	 */
+	handlePasteGroup = ( groupId ) => {
+		readClipboard().then( ( text ) => {
+			const {
+				value,
+				groupIdKey,
+				onPasteGroups
+			} = this.props;
+
+			const group = parseGroup( text );
+			const error = this.getPasteError( group );
+
+			if ( error ) {
+				/* eslint-disable-next-line no-alert */
+				alert( error );
+				return;
+			}
+
+			const index = groupId ? value.indexOf( this.findGroup( groupId ) ) + 1 : value.length;
+
+			onPasteGroups( [ group ], index, ( [ pastedGroup ] ) => {
+				if ( this.isTabbed ) {
+					this.handleTabsChange( pastedGroup[ groupIdKey ] );
+				}
+			} );
+		} );
+	}
+
+	/**
+	 * Handles click on the "Paste" button of the field.
+	 *
+	 * @return {void}
+	 */
+	handlePasteClick = () => {
+		this.handlePasteGroup();
+	}
+
+	/**
+	 * Handles pasting of rows copied from a spreadsheet.
+	 * The rows are inserted after the row where the text is pasted
+	 * and the cells are filled starting from its column.
+	 *
+	 * @param  {Array[]} rows
+	 * @param  {number}  rowIndex
+	 * @param  {number}  columnIndex
+	 * @return {void}
+	 */
+	handlePasteRows = ( rows, rowIndex, columnIndex ) => {
+		const {
+			field,
+			value,
+			groupFilterKey,
+			onExportValue,
+			onPasteGroups
+		} = this.props;
+
+		const columns = this.getTableColumns();
+		const groupName = get( value, `${ rowIndex }.${ groupFilterKey }` );
+		const group = find( field.groups, [ 'name', groupName ] );
+
+		const entries = rows.map( ( cells ) => cells.reduce( ( entry, cell, offset ) => {
+			const column = columns[ columnIndex + offset ];
+
+			if ( column && PASTABLE_FIELD_TYPES.indexOf( get( find( get( group, 'fields', [] ), [ 'base_name', column.name ] ), 'type' ) ) > -1 ) {
+				entry[ column.name ] = cell;
+			}
+
+			return entry;
+		}, {
+			_type: groupName
+		} ) );
+
+		const error = this.getPasteError( entries[ 0 ] );
+
+		if ( error ) {
+			/* eslint-disable-next-line no-alert */
+			alert( error );
+			return;
+		}
+
+		const newValue = [ ...onExportValue() ];
+
+		newValue.splice( rowIndex + 1, 0, ...entries );
+
+		// The merged value is only validated, the existing groups stay untouched.
+		// The minimum isn't enforced since the pasted rows can only get closer to it.
+		const errors = validateValue( { ...field, min: 0 }, newValue );
+
+		if ( errors.length ) {
+			/* eslint-disable-next-line no-alert */
+			alert( [ __( 'The rows can\'t be pasted:', 'carbon-fields-ui' ), ...errors ].join( '\n' ) );
+			return;
+		}
+
+		onPasteGroups( entries, rowIndex + 1, noop );
+	}
+
+	/**
+	 * Handles click on the "Export" button.
+	 *
+	 * @return {void}
+	 */
+	handleExportClick = () => {
+		const { field, onExportValue } = this.props;
+
+		downloadFile( `${ field.base_name }.json`, serializeValue( field, onExportValue() ), 'application/json' );
+	}
+
+	/**
+	 * Handles click on the "Import" button.
+	 *
+	 * @return {void}
+	 */
+	handleImportClick = () => {
+		this.importInput.current.click();
+	}
+
+	/**
+	 * Handles the selection of the imported file.
+	 *
+	 * @param  {Object} e
+	 * @return {void}
+	 */
+	handleImportChange = ( e ) => {
+		const [ file ] = e.target.files;
+
+		// Allow the same file to be selected again.
+		e.target.value = '';
+
+		if ( ! file ) {
+			return;
+		}
+
+		readFile( file ).then( ( text ) => {
+			const {
+				field,
+				value,
+				groupIdKey,
+				onImportValue
+			} = this.props;
+
+			const importedValue = parseValue( text );
+
+			if ( ! importedValue ) {
+				/* eslint-disable-next-line no-alert */
+				alert( __( 'The file doesn\'t contain exported entries.', 'carbon-fields-ui' ) );
+				return;
+			}
+
+			const errors = validateValue( field, importedValue );
+
+			if ( errors.length ) {
+				/* eslint-disable-next-line no-alert */
+				alert( [ __( 'The entries can\'t be imported:', 'carbon-fields-ui' ), ...errors ].join( '\n' ) );
+				return;
+			}
+
+			/* eslint-disable-next-line no-alert */
+			if ( value.length && ! window.confirm( __( 'The imported entries will replace the existing ones. Do you want to continue?', 'carbon-fields-ui' ) ) ) {
+				return;
+			}
+
+			onImportValue( importedValue, ( groups ) => {
+				this.setState( {
+					currentTab: get( groups, `0.${ groupIdKey }`, null )
+				} );
+			} );
+		}, () => {
+			// Only the failed reading is reported, the errors
+			// of the import itself aren't swallowed.
+			/* eslint-disable-next-line no-alert */
+			alert( __( 'The file couldn\'t be read.', 'carbon-fields-ui' ) );
+		} );
+	}
+
 	/**
 	 * Handles removing of group.
 	 *
@@ -214,6 +567,99 @@ class ComplexField extends Component {
 		onRemoveGroup( group );
 	}
 
+	/**
+	 * Handles changing of the filter.
+	 * Pressing "Enter" submits the same term which jumps to the next match.
+	 *
+	 * @param  {string} filterTerm
+	 * @return {void}
+	 */
+	handleFilterChange = ( filterTerm ) => {
+		if ( filterTerm === this.state.filterTerm ) {
+			this.handleNextMatchClick();
+
+			return;
+		}
+
+		this.setState( {
+			filterTerm,
+			currentMatch: null,
+			revealedGroups: []
+		} );
+	}
+
+	/**
+	 * Handles click on the "Next match" button.
+	 * The matching group is opened and scrolled into the view.
+	 *
+	 * @return {void}
+	 */
+	handleNextMatchClick = () => {
+		const { currentMatch } = this.state;
+		const {
+			value,
+			groupIdKey,
+			onGroupSetup,
+			onToggleGroup
+		} = this.props;
+
+		const matchingGroupIds = this.getMatchingGroupIds( this.getGroupLabels() );
+
+		if ( ! this.isFiltered || ! matchingGroupIds.length ) {
+			return;
+		}
+
+		const groupId = matchingGroupIds[ ( matchingGroupIds.indexOf( currentMatch ) + 1 ) % matchingGroupIds.length ];
+		const group = this.findGroup( groupId );
+
+		this.setState( {
+			currentMatch: groupId
+		} );
+
+		if ( this.isTabbed ) {
+			this.handleTabsChange( groupId );
+
+			return;
+		}
+
+		// The collapsed state is managed by the context so we ask for it.
+		if ( ! this.isTable && onGroupSetup( group, {} ).collapsed ) {
+			onToggleGroup( groupId );
+		}
+
+		const node = get( this.groupsList.current, [ 'children', value.findIndex( ( item ) => item[ groupIdKey ] === groupId ) ] );
+
+		if ( node ) {
+			node.scrollIntoView( {
+				block: 'nearest'
+			} );
+		}
+	}
+
+	/**
+	 * Handles toggling of group.
+	 * The groups hidden by the filter are expanded without
+	 * changing the state managed by the context.
+	 *
+	 * @param  {string} groupId
+	 * @return {void}
+	 */
+	handleToggleGroup = ( groupId ) => {
+		const { onToggleGroup } = this.props;
+
+		if ( ! this.isFiltered || this.getMatchingGroupIds( this.getGroupLabels() ).indexOf( groupId ) > -1 ) {
+			onToggleGroup( groupId );
+
+			return;
+		}
+
+		this.setState( ( { revealedGroups } ) => ( {
+			revealedGroups: revealedGroups.indexOf( groupId ) > -1
+				? without( revealedGroups, groupId )
+				: [ ...revealedGroups, groupId ]
+		} ) );
+	}
+
 	/**
 	 * Handles click on the "Expand/Collapse All" button.
 	 *
@@ -277,13 +723,53 @@ class ComplexField extends Component {
 		} );
 	}
 
+	/**
+	 * Opens the group that holds the field which should be revealed.
+	 *
+	 * @param  {Object}   payload
+	 * @param  {Object[]} payload.ancestors
+	 * @return {void}
+	 */
+	handleRevealField = ( { ancestors } ) => {
+		const { id, onGroupSetup, onToggleGroup } = this.props;
+		const ancestor = find( ancestors, [ 'fieldId', id ] );
+
+		if ( ! ancestor ) {
+			return;
+		}
+
+		if ( this.isTabbed ) {
+			this.handleTabsChange( ancestor.groupId );
+
+			return;
+		}
+
+		// The rows of the table are always expanded.
+		if ( this.isTable ) {
+			return;
+		}
+
+		const group = this.findGroup( ancestor.groupId );
+
+		// The collapsed state is managed by the context so we ask for it.
+		if ( group && onGroupSetup( group, {} ).collapsed ) {
+			onToggleGroup( ancestor.groupId );
+		}
+	}
+
 	/**
 	 * Renders the component.
 	 *
 	 * @return {Object}
 	 */
 	render() {
-		const { currentDraggedGroup, currentTab } = this.state;
+		const {
+			currentDraggedGroup,
+			currentTab,
+			filterTerm,
+			currentMatch,
+			revealedGroups
+		} = this.state;
 
 		const {
 			value,
@@ -292,12 +778,14 @@ class ComplexField extends Component {
 			groupFilterKey,
 			allGroupsAreCollapsed,
 			onGroupSetup,
-			onGroupFieldSetup,
-			onToggleGroup
+			onGroupFieldSetup
 		} = this.props;
 
 		const availableGroups = this.getAvailableGroups( groupFilterKey );
 		const groupLabels = this.getGroupLabels();
+		const matchingGroupIds = this.isFiltered ? this.getMatchingGroupIds( groupLabels ) : null;
+		const currentMatchIndex = matchingGroupIds ? matchingGroupIds.indexOf( currentMatch ) : -1;
+		const tableColumns = this.isTable ? this.getTableColumns() : [];
 
 		// TODO: Move this to a memoized function.
 		const tabs = value.map( ( group, index ) => {
@@ -312,6 +800,36 @@ class ComplexField extends Component {
 
 		return (
 			<Fragment>
+				{ !! value.length && (
+					<div className="cf-complex__filter">
+						<SearchInput
+							className="cf-complex__filter-input"
+							value={ filterTerm }
+							placeholder={ __( 'Filter entries...', 'carbon-fields-ui' ) }
+							onChange={ this.handleFilterChange }
+						/>
+
+						{ matchingGroupIds && (
+							<span className="cf-complex__filter-counter">
+								{
+									matchingGroupIds.length
+										? sprintf( __( '%1$d of %2$d matches', 'carbon-fields-ui' ), currentMatchIndex + 1, matchingGroupIds.length )
+										: __( 'No matches', 'carbon-fields-ui' )
+								}
+							</span>
+						) }
+
+						<button
+							type="button"
+							className="button cf-complex__filter-next"
+							disabled={ ! matchingGroupIds || ! matchingGroupIds.length }
+							onClick={ this.handleNextMatchClick }
+						>
+							{ __( 'Next match', 'carbon-fields-ui' ) }
+						</button>
+					</div>
+				) }
+
 				{ this.isTabbed && !! value.length && (
 					<Sortable
 						items={ value }
@@ -347,10 +865,58 @@ class ComplexField extends Component {
 							groups={ availableGroups }
 							onSelect={ this.handleAddGroup }
 						/>
+
+						<button type="button" className="button cf-complex__paster" onClick={ this.handlePasteClick }>
+							{ __( 'Paste', 'carbon-fields-ui' ) }
+						</button>
+
+						<button type="button" className="button cf-complex__importer" onClick={ this.handleImportClick }>
+							{ __( 'Import', 'carbon-fields-ui' ) }
+						</button>
 					</ComplexPlaceholder>
 				) }
 
-				{ !! value.length && (
+				{ !! value.length && this.isTable && (
+					<Sortable
+						items={ value }
+						options={ {
+							axis: 'y',
+							helper: 'clone',
+							handle: '.cf-complex__row-index',
+							forceHelperSize: true,
+							forcePlaceholderSize: true
+						} }
+						forwardedRef={ this.groupsList }
+						onUpdate={ this.handleGroupsSortUpdate }
+					>
+						<ComplexTable
+							columns={ tableColumns }
+							bodyRef={ this.groupsList }
+							onPasteRows={ this.handlePasteRows }
+						>
+							{ value.map( ( group, index ) => {
+								const groupId = group[ groupIdKey ];
+
+								return (
+									// The `key` will be assigned via `onGroupSetup`.
+									// eslint-disable-next-line react/jsx-key
+									<ComplexRow key={ `${ group[ groupFilterKey ] }-${ index }` } { ...onGroupSetup( group, {
+										index,
+										columns: tableColumns,
+										hidden: !! matchingGroupIds && matchingGroupIds.indexOf( groupId ) === -1,
+										current: !! matchingGroupIds && groupId === currentMatch,
+										allowClone: field.duplicate_groups_allowed && ! this.isMaximumReached,
+										onFieldSetup: onGroupFieldSetup,
+										onClone: this.handleCloneGroup,
+										onRemove: this.handleRemoveGroup
+									} ) } />
+								);
+							} ) }
+						</ComplexTable>
+					</Sortable>
+				) }
+
+				{ !! value.length && ! this.isTable && (
 					<Sortable
 						items={ value }
 						options={ {
@@ -367,29 +933,44 @@ class ComplexField extends Component {
 						onStop={ this.handleGroupsSortStop }
 					>
 						<div className="cf-complex__groups" ref={ this.groupsList }>
-							{ value.map( ( group, index ) => (
-								// The `key` will be assigned via `onGroupSetup`.
-								// eslint-disable-next-line react/jsx-key
-								<ComplexGroup key={ `${ group[ groupFilterKey ] }-${ index }` } { ...onGroupSetup( group, {
+							{ value.map( ( group, index ) => {
+								const groupId = group[ groupIdKey ];
+								const groupProps = onGroupSetup( group, {
 									index,
 									label: groupLabels[ index ],
-									dragged: group[ groupIdKey ] === currentDraggedGroup,
+									dragged: groupId === currentDraggedGroup,
 									tabbed: this.isTabbed,
-									hidden: this.isTabbed && group[ groupIdKey ] !== currentTab,
+									hidden: this.isTabbed && groupId !== currentTab,
+									matched: !! matchingGroupIds && matchingGroupIds.indexOf( groupId ) > -1,
+									current: !! matchingGroupIds && groupId === currentMatch,
 									allowClone: field.duplicate_groups_allowed && ! this.isMaximumReached,
+									allowPaste: ! this.isMaximumReached,
 									onFieldSetup: onGroupFieldSetup,
 									onClone: this.handleCloneGroup,
+									onCopy: this.handleCopyGroup,
+									onPaste: this.handlePasteGroup,
 									onRemove: this.handleRemoveGroup,
-									onToggle: onToggleGroup
-								} ) } />
-							) ) }
+									onToggle: this.handleToggleGroup
+								} );
+
+								// The groups that don't match the filter stay collapsed until revealed.
+								if ( matchingGroupIds && ! this.isTabbed && ! groupProps.matched ) {
+									groupProps.collapsed = revealedGroups.indexOf( groupId ) === -1;
+								}
+
+								return (
+									// The `key` will be assigned via `onGroupSetup`.
+									// eslint-disable-next-line react/jsx-key
+									<ComplexGroup key={ `${ group[ groupFilterKey ] }-${ index }` } { ...groupProps } />
+								);
+							} ) }
 						</div>
 					</Sortable>
 				) }
 
-				{ ! this.isTabbed && !! value.length && (
+				{ !! value.length && (
 					<div className="cf-complex__actions">
-						{ !! availableGroups.length && ! this.isMaximumReached && (
+						{ ! this.isTabbed && !! availableGroups.length && ! this.isMaximumReached && (
 							<ComplexInserter
 								buttonText={ this.inserterButtonText }
 								groups={ availableGroups }
@@ -397,11 +978,29 @@ class ComplexField extends Component {
 							/>
 						) }
 
-						<button type="button" className="button cf-complex__toggler" onClick={ this.handleToggleAllClick }>
-							{ allGroupsAreCollapsed ? __( 'Expand All', 'carbon-fields-ui' ) : __( 'Collapse All', 'carbon-fields-ui' ) }
+						<button type="button" className="button cf-complex__exporter" onClick={ this.handleExportClick }>
+							{ __( 'Export', 'carbon-fields-ui' ) }
+						</button>
+
+						<button type="button" className="button cf-complex__importer" onClick={ this.handleImportClick }>
+							{ __( 'Import', 'carbon-fields-ui' ) }
 						</button>
+
+						{ ! this.isTabbed && ! this.isTable && (
+							<button type="button" className="button cf-complex__toggler" onClick={ this.handleToggleAllClick }>
+								{ allGroupsAreCollapsed ? __( 'Expand All', 'carbon-fields-ui' ) : __( 'Collapse All', 'carbon-fields-ui' ) }
+							</button>
+						) }
 					</div>
 				) }
+
+				<input
+					type="file"
+					accept="application/json,.json"
+					ref={ this.importInput }
+					hidden
+					onChange={ this.handleImportChange }
+				/>
 			</Fragment>
 		);
 	}
@@ -0,0 +1,129 @@
+/**
+ * External dependencies.
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	get,
+	find,
+	keys,
+	isArray,
+	isPlainObject
+} from 'lodash';
+
+/**
+ * Identifies the exported values.
+ *
+ * @type {string}
+ */
+export const JSON_FORMAT = 'carbon-fields/complex-value';
+
+/**
+ * The version of the format. It should be increased
+ * when the shape of the value changes.
+ *
+ * @type {number}
+ */
+export const JSON_VERSION = 1;
+
+/**
+ * Converts the value to JSON. The value is a list of objects with
+ * `_type` key and values keyed by the names of the group fields.
+ *
+ * @param  {Object}   field
+ * @param  {Object[]} value
+ * @return {string}
+ */
+export function serializeValue( field, value ) {
+	return JSON.stringify( {
+		format: JSON_FORMAT,
+		version: JSON_VERSION,
+		field: field.base_name,
+		value
+	}, null, 2 );
+}
+
+/**
+ * Extracts the value from the imported JSON.
+ *
+ * @param  {string} text
+ * @return {?Array}
+ */
+export function parseValue( text ) {
+	let data;
+
+	try {
+		data = JSON.parse( text );
+	} catch ( e ) {
+		return null;
+	}
+
+	if (
+		! isPlainObject( data )
+		|| data.format !== JSON_FORMAT
+		|| ! ( data.version > 0 && data.version <= JSON_VERSION )
+		|| ! isArray( data.value )
+	) {
+		return null;
+	}
+
+	return data.value;
+}
+
+/**
+ * Checks the value against the definitions of the groups.
+ * The nested complex fields are checked as well.
+ *
+ * @param  {Object}   field
+ * @param  {mixed}    value
+ * @param  {string}   [path]
+ * @return {string[]}
+ */
+export function validateValue( field, value, path = field.base_name ) {
+	if ( ! isArray( value ) ) {
+		return [
+			sprintf( __( '%s must be a list of entries.', 'carbon-fields-ui' ), path )
+		];
+	}
+
+	let errors = [];
+
+	if ( field.min > 0 && value.length < field.min ) {
+		errors.push( sprintf( __( '%1$s requires at least %2$d entries.', 'carbon-fields-ui' ), path, field.min ) );
+	}
+
+	if ( field.max > 0 && value.length > field.max ) {
+		errors.push( sprintf( __( '%1$s accepts at most %2$d entries.', 'carbon-fields-ui' ), path, field.max ) );
+	}
+
+	value.forEach( ( entry, index ) => {
+		const group = isPlainObject( entry ) && find( field.groups, [ 'name', entry._type ] );
+
+		if ( ! group ) {
+			errors.push( sprintf( __( 'Unknown group "%1$s" at %2$s.', 'carbon-fields-ui' ), get( entry, '_type', '' ), `${ path }[${ index }]` ) );
+			return;
+		}
+
+		const groupPath = `${ path }[${ index }]:${ group.name }`;
+
+		if ( ! field.duplicate_groups_allowed && find( value.slice( 0, index ), [ '_type', group.name ] ) ) {
+			errors.push( sprintf( __( 'Only one entry of type "%1$s" is allowed at %2$s.', 'carbon-fields-ui' ), group.name, groupPath ) );
+		}
+
+		keys( entry ).forEach( ( key ) => {
+			if ( key === '_type' ) {
+				return;
+			}
+
+			const groupField = find( group.fields, [ 'base_name', key ] );
+			const fieldPath = `${ groupPath }/${ key }`;
+
+			if ( ! groupField ) {
+				errors.push( sprintf( __( 'Unknown field at %s.', 'carbon-fields-ui' ), fieldPath ) );
+			} else if ( groupField.type === 'complex' ) {
+				errors = errors.concat( validateValue( groupField, entry[ key ], fieldPath ) );
+			}
+		} );
+	} );
+
+	return errors;
+}
@@ -0,0 +1,121 @@
+/**
+ * External dependencies.
+ */
+import cx from 'classnames';
+import { Component } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+import { find } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import renderGroupField from './group-field';
+
+class ComplexRow extends Component {
+	/**
+	 * Handles the click on the "Duplicate" button.
+	 *
+	 * @return {void}
+	 */
+	handleCloneClick = () => {
+		const {
+			id,
+			onClone
+		} = this.props;
+
+		onClone( id );
+	}
+
+	/**
+	 * Handles the click on the "Remove" button.
+	 *
+	 * @return {void}
+	 */
+	handleRemoveClick = () => {
+		const {
+			id,
+			onRemove
+		} = this.props;
+
+		onRemove( id );
+	}
+
+	/**
+	 * Renders the component.
+	 *
+	 * @return {Object}
+	 */
+	render() {
+		const {
+			index,
+			name,
+			prefix,
+			hidden,
+			current,
+			columns,
+			allowClone,
+			fields
+		} = this.props;
+
+		const rowClasses = cx(
+			'cf-complex__row',
+			{
+				'cf-complex__row--current-match': current
+			}
+		);
+
+		return (
+			<tr className={ rowClasses } hidden={ hidden }>
+				<td className="cf-complex__row-index">
+					{ index + 1 }
+
+					{ name && (
+						<input
+							type="hidden"
+							name={ `${ prefix }[value]` }
+							value={ name }
+						/>
+					) }
+				</td>
+
+				{ columns.map( ( column, columnIndex ) => {
+					const field = find( fields, [ 'base_name', column.name ] );
+
+					return (
+						<td
+							key={ column.name }
+							className="cf-complex__cell"
+							tabIndex={ -1 }
+							data-row={ index }
+							data-column={ columnIndex }
+						>
+							{ field && renderGroupField( field, this.props, false ) }
+						</td>
+					);
+				} ) }
+
+				<td className="cf-complex__row-actions">
+					{ allowClone && (
+						<button type="button" className="cf-complex__group-action" onClick={ this.handleCloneClick }>
+							<span className="dashicons-before dashicons-admin-page cf-complex__group-action-icon"></span>
+
+							<span className="cf-complex__group-action-text">
+								{ __( 'Duplicate', 'carbon-fields-ui' ) }
+							</span>
+						</button>
+					) }
+
+					<button type="button" className="cf-complex__group-action" onClick={ this.handleRemoveClick }>
+						<span className="dashicons-before dashicons-trash cf-complex__group-action-icon"></span>
+
+						<span className="cf-complex__group-action-text">
+							{ __( 'Remove', 'carbon-fields-ui' ) }
+						</span>
+					</button>
+				</td>
+			</tr>
+		);
+	}
+}
+
+export default ComplexRow;
@@ -0,0 +1,294 @@
+/**
+ * External dependencies.
+ */
+import { Component } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+import { isNil } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import { parseTsv, isTsv } from './tsv';
+
+/**
+ * The keycodes used to move between the cells.
+ *
+ * @type {number}
+ */
+const KEY_LEFT = 37;
+const KEY_UP = 38;
+const KEY_RIGHT = 39;
+const KEY_DOWN = 40;
+
+/**
+ * The offsets of the rows and columns per key.
+ *
+ * @type {Object}
+ */
+const OFFSETS = {
+	[ KEY_LEFT ]: [ 0, -1 ],
+	[ KEY_UP ]: [ -1, 0 ],
+	[ KEY_RIGHT ]: [ 0, 1 ],
+	[ KEY_DOWN ]: [ 1, 0 ]
+};
+
+/**
+ * The minimum width of a column in pixels.
+ *
+ * @type {number}
+ */
+const MIN_COLUMN_WIDTH = 60;
+
+/**
+ * The elements that receive the focus when a cell is entered.
+ *
+ * @type {string}
+ */
+const FOCUSABLE_SELECTOR = 'input:not([type="hidden"]), select, textarea, button, [href], [contenteditable="true"]';
+
+/**
+ * Returns whether the focus can leave the element in the direction of the key.
+ * The keys used to change the value or move the caret are left to the element.
+ *
+ * @param  {Object} target
+ * @param  {number} keyCode
+ * @return {boolean}
+ */
+function canLeave( target, keyCode ) {
+	const tagName = target.tagName.toLowerCase();
+	const vertical = keyCode === KEY_UP || keyCode === KEY_DOWN;
+
+	if ( tagName === 'textarea' || tagName === 'select' || target.isContentEditable ) {
+		return false;
+	}
+
+	if ( tagName !== 'input' ) {
+		return true;
+	}
+
+	if ( vertical ) {
+		return target.type !== 'number';
+	}
+
+	let selectionStart;
+	let selectionEnd;
+
+	// Some of the inputs (e.g. checkboxes) don't support selection.
+	try {
+		( { selectionStart, selectionEnd } = target );
+	} catch ( e ) {
+		return true;
+	}
+
+	if ( isNil( selectionStart ) ) {
+		return true;
+	}
+
+	if ( selectionStart !== selectionEnd ) {
+		return false;
+	}
+
+	return keyCode === KEY_LEFT
+		? selectionStart === 0
+		: selectionEnd === target.value.length;
+}
+
+class ComplexTable extends Component {
+	/**
+	 * Local state.
+	 *
+	 * @type {Object}
+	 */
+	state = {
+		columnWidths: {}
+	};
+
+	/**
+	 * Keeps the state of the column that is being resized.
+	 *
+	 * @type {?Object}
+	 */
+	resizing = null;
+
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @return {void}
+	 */
+	componentWillUnmount() {
+		this.handleResizeStop();
+	}
+
+	/**
+	 * Moves the focus to the cell next to the focused one.
+	 *
+	 * @param  {Object} e
+	 * @return {void}
+	 */
+	handleKeyDown = ( e ) => {
+		const offset = OFFSETS[ e.keyCode ];
+		const cell = e.target.closest( '.cf-complex__cell' );
+
+		if ( ! offset || ! cell || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey ) {
+			return;
+		}
+
+		if ( e.target !== cell && ! canLeave( e.target, e.keyCode ) ) {
+			return;
+		}
+
+		const body = this.props.bodyRef.current;
+
+		let row = Number( cell.dataset.row );
+		let column = Number( cell.dataset.column );
+		let nextCell;
+
+		// The rows hidden by the filter are skipped.
+		do {
+			row += offset[ 0 ];
+			column += offset[ 1 ];
+			nextCell = body.querySelector( `[data-row="${ row }"][data-column="${ column }"]` );
+		} while ( nextCell && nextCell.offsetParent === null );
+
+		if ( ! nextCell ) {
+			return;
+		}
+
+		e.preventDefault();
+
+		( nextCell.querySelector( FOCUSABLE_SELECTOR ) || nextCell ).focus();
+	}
+
+	/**
+	 * Creates rows from the tab-separated text.
+	 * The text of a single cell is pasted as usual.
+	 *
+	 * @param  {Object} e
+	 * @return {void}
+	 */
+	handlePaste = ( e ) => {
+		const cell = e.target.closest( '.cf-complex__cell' );
+		const text = e.clipboardData ? e.clipboardData.getData( 'text/plain' ) : '';
+		const multiline = e.target.tagName.toLowerCase() === 'textarea' || e.target.isContentEditable;
+
+		if ( ! cell || ! isTsv( text, multiline ) ) {
+			return;
+		}
+
+		e.preventDefault();
+
+		this.props.onPasteRows( parseTsv( text ), Number( cell.dataset.row ), Number( cell.dataset.column ) );
+	}
+
+	/**
+	 * Starts the resizing of a column.
+	 *
+	 * @param  {Object} e
+	 * @param  {string} name
+	 * @return {void}
+	 */
+	handleResizeStart = ( e, name ) => {
+		e.preventDefault();
+
+		this.resizing = {
+			name,
+			startX: e.clientX,
+			startWidth: e.target.parentNode.offsetWidth
+		};
+
+		document.addEventListener( 'mousemove', this.handleResize );
+		document.addEventListener( 'mouseup', this.handleResizeStop );
+	}
+
+	/**
+	 * Resizes the column while the mouse is moved.
+	 *
+	 * @param  {Object} e
+	 * @return {void}
+	 */
+	handleResize = ( e ) => {
+		const { name, startX, startWidth } = this.resizing;
+
+		this.setState( ( { columnWidths } ) => ( {
+			columnWidths: {
+				...columnWidths,
+				[ name ]: Math.max( MIN_COLUMN_WIDTH, startWidth + e.clientX - startX )
+			}
+		} ) );
+	}
+
+	/**
+	 * Stops the resizing of a column.
+	 *
+	 * @return {void}
+	 */
+	handleResizeStop = () => {
+		this.resizing = null;
+
+		document.removeEventListener( 'mousemove', this.handleResize );
+		document.removeEventListener( 'mouseup', this.handleResizeStop );
+	}
+
+	/**
+	 * Renders the component.
+	 *
+	 * @return {Object}
+	 */
+	render() {
+		const { columnWidths } = this.state;
+		const {
+			columns,
+			bodyRef,
+			children
+		} = this.props;
+
+		return (
+			<div className="cf-complex__table-wrapper">
+				<table className="cf-complex__table" onKeyDown={ this.handleKeyDown } onPaste={ this.handlePaste }>
+					<colgroup>
+						<col className="cf-complex__table-index" />
+
+						{ columns.map( ( column ) => (
+							<col key={ column.name } style={ { width: columnWidths[ column.name ] } } />
+						) ) }
+
+						<col className="cf-complex__table-actions" />
+					</colgroup>
+
+					<thead>
+						<tr>
+							<th>
+								<span className="screen-reader-text">
+									{ __( 'Order', 'carbon-fields-ui' ) }
+								</span>
+							</th>
+
+							{ columns.map( ( column ) => (
+								<th key={ column.name } className="cf-complex__table-heading">
+									{ column.label }
+
+									<span
+										className="cf-complex__table-resizer"
+										onMouseDown={ ( e ) => this.handleResizeStart( e, column.name ) }
+									></span>
+								</th>
+							) ) }
+
+							<th>
+								<span className="screen-reader-text">
+									{ __( 'Actions', 'carbon-fields-ui' ) }
+								</span>
+							</th>
+						</tr>
+					</thead>
+
+					<tbody ref={ bodyRef }>
+						{ children }
+					</tbody>
+				</table>
+			</div>
+		);
+	}
+}
+
+export default ComplexTable;
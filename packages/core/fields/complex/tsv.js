@@ -0,0 +1,61 @@
+/**
+ * Parses the tab-separated text placed on the clipboard by spreadsheets.
+ * The cells that contain tabs, new lines or quotes are wrapped in quotes
+ * and the quotes inside of them are doubled.
+ *
+ * @param  {string} text
+ * @return {Array[]}
+ */
+export function parseTsv( text ) {
+	const input = text.replace( /\r\n?/g, '\n' ).replace( /\n$/, '' );
+	const rows = [];
+
+	let row = [];
+	let cell = '';
+	let quoted = false;
+
+	for ( let i = 0; i < input.length; i += 1 ) {
+		const char = input[ i ];
+
+		if ( quoted ) {
+			if ( char !== '"' ) {
+				cell += char;
+			} else if ( input[ i + 1 ] === '"' ) {
+				cell += char;
+				i += 1;
+			} else {
+				quoted = false;
+			}
+		} else if ( char === '"' && cell === '' ) {
+			quoted = true;
+		} else if ( char === '\t' ) {
+			row.push( cell );
+			cell = '';
+		} else if ( char === '\n' ) {
+			row.push( cell );
+			rows.push( row );
+			row = [];
+			cell = '';
+		} else {
+			cell += char;
+		}
+	}
+
+	row.push( cell );
+	rows.push( row );
+
+	return rows;
+}
+
+/**
+ * Returns whether the text contains more than a single cell.
+ * The line breaks are part of the text when it's pasted into
+ * a multi-line input, so only the tabs separate the cells there.
+ *
+ * @param  {string}  text
+ * @param  {boolean} multiline
+ * @return {boolean}
+ */
+export function isTsv( text, multiline ) {
+	return ( multiline ? /\t/ : /[\t\n]/ ).test( text.replace( /\r?\n$/, '' ) );
+}
@@ -0,0 +1,42 @@
+/**
+ * External dependencies.
+ */
+import { Component } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import { isNil } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import './style.scss';
+
+class FallbackField extends Component {
+	/**
+	 * Renders the component.
+	 *
+	 * @return {Object}
+	 */
+	render() {
+		const {
+			id,
+			value,
+			field
+		} = this.props;
+
+		return (
+			<div className="cf-fallback" id={ id }>
+				<p className="cf-fallback__notice">
+					{ sprintf( __( 'Field of type \'%s\' can\'t be displayed. Its value is kept but it can\'t be edited.', 'carbon-fields-ui' ), field.type ) }
+				</p>
+
+				{ ! isNil( value ) && value !== '' && (
+					<pre className="cf-fallback__value">
+						{ JSON.stringify( value, null, 2 ) }
+					</pre>
+				) }
+			</div>
+		);
+	}
+}
+
+export default FallbackField;
@@ -0,0 +1,12 @@
+/**
+ * Stands in for the fields that aren't displayed, e.g. the fields of
+ * collapsed groups. The hooks of the context keep the validation and
+ * the conditional logic running while the interface isn't mounted.
+ *
+ * @return {null}
+ */
+function HeadlessField() {
+	return null;
+}
+
+export default HeadlessField;
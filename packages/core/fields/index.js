@@ -8,6 +8,7 @@ import { addFilter } from '@wordpress/hooks';
  * Internal dependencies.
  */
 import withFilters from '../hocs/with-filters';
+import withHeadless from '../hocs/with-headless';
 import { registerFieldType } from '../registry/fields';
 import AssociationField from './association';
 import CheckboxField from './checkbox';
@@ -39,7 +40,8 @@ import TimeField from './time';
 addFilter( 'carbon-fields.register-field-type', 'carbon-fields/core', ( type, context, component ) => {
 	return compose(
 		withFilters( `carbon-fields.field-edit.${ context }` ),
-		withFilters( `carbon-fields.${ type }.${ context }` )
+		withFilters( `carbon-fields.${ type }.${ context }` ),
+		withHeadless( context )
 	)( component );
 } );
 
@@ -18,6 +18,7 @@ class RichTextField extends Component {
 		this.node = null;
 		this.editor = null;
 		this.cancelResizeObserver = null;
+		this.isInitialized = false;
 	}
 
 	/**
@@ -31,6 +32,21 @@ class RichTextField extends Component {
 		}
 	}
 
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @param  {Object} prevProps
+	 * @return {void}
+	 */
+	componentDidUpdate( prevProps ) {
+		// The field may be mounted in a hidden container.
+		if ( this.props.visible && ! prevProps.visible && ! this.isInitialized ) {
+			clearTimeout( this.timer );
+
+			this.timer = setTimeout( this.initEditor, 250 );
+		}
+	}
+
 	/**
 	 * Lifecycle hook.
 	 *
@@ -128,6 +144,8 @@ class RichTextField extends Component {
 	initEditor = () => {
 		const { id, field } = this.props;
 
+		this.isInitialized = true;
+
 		if ( field.rich_editing ) {
 			const editorSetup = ( editor ) => {
 				this.editor = editor;
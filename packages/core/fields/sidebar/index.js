@@ -5,7 +5,7 @@ import of from 'callbag-of';
 import { Component } from '@wordpress/element';
 import { __ } from '@wordpress/i18n';
 import { withEffects, toProps } from 'refract-callbag';
-import { trim } from 'lodash';
+import { trim, isString } from 'lodash';
 import {
 	map,
 	pipe,
@@ -67,6 +67,35 @@ class SidebarField extends Component {
 	}
 }
 
+/**
+ * Creates a new sidebar through the admin AJAX handler.
+ * The contexts without access to it can provide their own `onCreate` prop.
+ *
+ * @param  {string} name
+ * @return {Promise}
+ */
+function createSidebar( name ) {
+	return new Promise( ( resolve, reject ) => {
+		const request = window.jQuery.post( window.ajaxurl, {
+			action: 'carbon_fields_add_sidebar',
+			name
+		}, null, 'json' );
+
+		request.done( ( response ) => {
+			if ( response && response.success ) {
+				resolve( {
+					value: response.data.id,
+					label: response.data.name
+				} );
+			} else {
+				reject( response && response.error );
+			}
+		} );
+
+		request.fail( () => reject() );
+	} );
+}
+
 /**
  * The function that controls the stream of side-effects.
  *
@@ -119,31 +148,19 @@ function handler( props ) {
 					return;
 				}
 
-				const request = window.jQuery.post( window.ajaxurl, {
-					action: 'carbon_fields_add_sidebar',
-					name
-				}, null, 'json' );
+				const { onCreate = createSidebar } = props;
 
 				/* eslint-disable-next-line no-alert */
-				const errorHandler = () => alert( __( 'An error occurred while trying to create the sidebar.', 'carbon-fields-ui' ) );
+				const errorHandler = ( message ) => alert( isString( message ) && message ? message : __( 'An error occurred while trying to create the sidebar.', 'carbon-fields-ui' ) );
 
-				request.done( ( response ) => {
-					if ( response && response.success ) {
+				onCreate( name )
+					.then( ( sidebar ) => {
 						const { onAdded, onChange } = props;
 
-						const sidebar = {
-							value: response.data.id,
-							label: response.data.name
-						};
-
 						onAdded( sidebar );
 						onChange( effect.payload.fieldKey, sidebar.value );
-					} else {
-						errorHandler();
-					}
-				} );
-
-				request.fail( errorHandler );
+					} )
+					.catch( errorHandler );
 				break;
 		}
 	};
@@ -1,13 +1,14 @@
-/* eslint eqeqeq: "off" */
+/* eslint no-console: [ 'error', { allow: [ 'error' ] } ] */
 
 /**
  * External dependencies.
  */
-import {
-	some,
-	every,
-	castArray
-} from 'lodash';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies.
+ */
+import { findComparer } from '../../registry/comparers';
 
 /**
  * Performs comparison of the values.
@@ -18,37 +19,13 @@ import {
  * @return {boolean}
  */
 export default function compare( left, operator, right ) {
-	switch ( operator ) {
-		case '=':
-			return left == right;
-
-		case '!=':
-			return left != right;
-
-		case '>':
-			return left > right;
-
-		case '<':
-			return left < right;
-
-		case '>=':
-			return left >= right;
-
-		case '<=':
-			return left <= right;
-
-		case 'IN':
-			return some( right, ( value ) => value == left );
-
-		case 'NOT IN':
-			return every( right, ( value ) => value != left );
+	const comparer = findComparer( operator );
 
-		case 'INCLUDES':
-			return every( castArray( right ), ( value ) => left.indexOf( value ) > -1 );
+	if ( ! comparer ) {
+		console.error( sprintf( __( 'Unsupported conditional logic comparison operator used - "%1$s".', 'carbon-fields-ui' ), operator ) );
 
-		case 'EXCLUDES':
-			return every( castArray( right ), ( value ) => left.indexOf( value ) === -1 );
+		return false;
 	}
 
-	return false;
+	return comparer.evaluate( left, operator, right );
 }
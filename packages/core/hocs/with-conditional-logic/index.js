@@ -6,18 +6,63 @@
 import { createHigherOrderComponent, compose } from '@wordpress/compose';
 import { withDispatch, withSelect } from '@wordpress/data';
 import { withEffects } from 'refract-callbag';
+import { pipe, scan } from 'callbag-basics';
 import { __, sprintf } from '@wordpress/i18n';
 import {
-	has,
 	some,
 	every,
-	isEmpty
+	isEmpty,
+	isEqual
 } from 'lodash';
 
 /**
  * Internal dependencies.
  */
 import compare from './compare';
+import resolve from './resolve';
+
+/**
+ * Walks through the rules and evaluates them.
+ * The rules that have a `relation` are nested groups of rules.
+ *
+ * @param  {Object[]} rules
+ * @param  {string}   relation
+ * @param  {Object}   data
+ * @return {boolean}
+ */
+function evaluate( rules, relation, data ) {
+	const results = rules.map( ( rule ) => {
+		if ( rule.relation ) {
+			return evaluate( rule.rules, rule.relation, data );
+		}
+
+		const { found, value } = resolve( data, rule.field );
+
+		if ( ! found ) {
+			console.error(
+				sprintf(
+					__( 'An unknown field is used in condition - "%s"', 'carbon-fields-ui' ),
+					rule.field
+				)
+			);
+
+			return false;
+		}
+
+		return compare( value, rule.compare, rule.value );
+	} );
+
+	switch ( relation ) {
+		case 'AND':
+			return every( results );
+
+		case 'OR':
+			return some( results );
+
+		default:
+			return false;
+	}
+}
 
 /**
  * Creates a high-order components which adds ability to evalute
@@ -36,11 +81,23 @@ export default function withConditionalLogic( input, output ) {
 	 * @return {Object}
 	 */
 	function aperture( component, props ) {
-		if ( isEmpty( props.field.conditional_logic ) ) {
+		const { field } = props;
+
+		if (
+			isEmpty( field.conditional_logic )
+			&& isEmpty( field.required_logic )
+			&& isEmpty( field.disabled_logic )
+		) {
 			return;
 		}
 
-		return input( props, component );
+		return pipe(
+			input( props, component ),
+			scan( ( previous, data ) => ( {
+				data,
+				initial: ! previous
+			} ), null )
+		);
 	}
 
 	/**
@@ -51,45 +108,50 @@ export default function withConditionalLogic( input, output ) {
 	 */
 	function handler( props ) {
 		return function( effect ) {
-			const { relation, rules } = props.field.conditional_logic;
-			const data = output( props, effect );
-
-			const results = rules.reduce( ( accumulator, rule ) => {
-				if ( ! has( data, rule.field ) ) {
-					// eslint-disable-next-line
-					console.error(
-						sprintf(
-							__( 'An unknown field is used in condition - "%s"', 'carbon-fields-ui' ),
-							rule.field
-						)
-					);
-
-					return accumulator.concat( false );
-				}
+			const { id, field } = props;
+			const data = output( props, effect.data );
 
-				// TODO: Handle the conditional logic for chained fields. Probably we'll need the id of each sibling.
-				// See https://github.com/htmlburger/carbon-fields/commit/3628a86c8840c8323f45c829a96c512a9985ad10#diff-b1aea524a4b1ab510e28e01a54c25fcd
-				const result = compare( data[ rule.field ], rule.compare, rule.value );
+			if ( ! isEmpty( field.conditional_logic ) ) {
+				const { relation, rules } = field.conditional_logic;
+				const isVisible = evaluate( rules, relation, data );
 
-				return accumulator.concat( result );
-			}, [] );
+				if ( isVisible ) {
+					props.showField( id );
+				} else {
+					// The initial evaluation must keep the saved value.
+					// Complex groups are managed by their own actions.
+					if (
+						field.reset_when_hidden
+						&& field.type !== 'complex'
+						&& props.visible
+						&& ! effect.initial
+						&& ! isEqual( props.value, field.default_value )
+					) {
+						props.onChange( id, field.default_value );
+					}
 
-			let isVisible = false;
+					props.hideField( id );
+				}
+			}
 
-			switch ( relation ) {
-				case 'AND':
-					isVisible = every( results );
-					break;
+			if ( ! isEmpty( field.required_logic ) ) {
+				const { relation, rules } = field.required_logic;
 
-				case 'OR':
-					isVisible = some( results );
-					break;
+				if ( evaluate( rules, relation, data ) ) {
+					props.markAsRequired( id );
+				} else {
+					props.markAsOptional( id );
+				}
 			}
 
-			if ( isVisible ) {
-				props.showField( props.id );
-			} else {
-				props.hideField( props.id );
+			if ( ! isEmpty( field.disabled_logic ) ) {
+				const { relation, rules } = field.disabled_logic;
+
+				if ( evaluate( rules, relation, data ) ) {
+					props.disableField( id );
+				} else {
+					props.enableField( id );
+				}
 			}
 		};
 	}
@@ -97,11 +159,22 @@ export default function withConditionalLogic( input, output ) {
 	return createHigherOrderComponent( ( OriginalComponent ) => {
 		return compose(
 			withDispatch( ( dispatch ) => {
-				const { showField, hideField } = dispatch( 'carbon-fields/core' );
+				const {
+					showField,
+					hideField,
+					markAsRequired,
+					markAsOptional,
+					enableField,
+					disableField
+				} = dispatch( 'carbon-fields/core' );
 
 				return {
 					showField,
-					hideField
+					hideField,
+					markAsRequired,
+					markAsOptional,
+					enableField,
+					disableField
 				};
 			} ),
 			withSelect( ( select, props ) => ( {
@@ -0,0 +1,67 @@
+/**
+ * External dependencies.
+ */
+import { has, isPlainObject } from 'lodash';
+
+/**
+ * Matches a single chunk of the path - `name`, `name[index]` or `name[index]:group`.
+ *
+ * @type {RegExp}
+ */
+const SEGMENT_REGEX = /^(.+?)(?:\[(\d+)\](?::(.+))?)?$/;
+
+/**
+ * Resolves the value of the field referenced by a conditional logic rule.
+ *
+ * Besides the plain names of sibling fields the rules can use
+ * a path to reach the fields inside of complex groups, e.g.
+ * `crb_slides[0]/title` or `crb_slides[0]:slide/crb_buttons[1]/url`.
+ *
+ * The complex values must be in the form of `{ _id, _type, ...values }`.
+ *
+ * @param  {Object} data
+ * @param  {string} path
+ * @return {Object}
+ */
+export default function resolve( data, path ) {
+	if ( has( data, [ path ] ) ) {
+		return {
+			found: true,
+			value: data[ path ]
+		};
+	}
+
+	const segments = path.split( '/' );
+	let value = data;
+
+	while ( segments.length > 0 ) {
+		const matches = segments.shift().match( SEGMENT_REGEX );
+
+		if ( ! matches || ! isPlainObject( value ) || ! has( value, [ matches[ 1 ] ] ) ) {
+			return {
+				found: false
+			};
+		}
+
+		const [ , name, index, group ] = matches;
+
+		value = value[ name ];
+
+		if ( index !== undefined ) {
+			value = value[ index ];
+
+			// The field exists but the group doesn't so there isn't a value to compare.
+			if ( ! value || ( group && value._type !== group ) ) {
+				return {
+					found: true,
+					value: undefined
+				};
+			}
+		}
+	}
+
+	return {
+		found: true,
+		value
+	};
+}
@@ -0,0 +1,29 @@
+/**
+ * External dependencies.
+ */
+import { createHigherOrderComponent } from '@wordpress/compose';
+
+/**
+ * Internal dependencies.
+ */
+import { getHeadlessFieldType } from '../../registry/fields';
+
+/**
+ * Creates a higher-order component which replaces the interface of the field
+ * when the `headless` prop is set. The components that wrap it stay mounted
+ * so the field keeps its validation and conditional logic.
+ *
+ * @param  {string} context
+ * @return {Function}
+ */
+export default function withHeadless( context ) {
+	return createHigherOrderComponent( ( OriginalComponent ) => ( props ) => {
+		if ( ! props.headless ) {
+			return <OriginalComponent { ...props } />;
+		}
+
+		const HeadlessEdit = getHeadlessFieldType( context );
+
+		return <HeadlessEdit { ...props } />;
+	}, 'withHeadless' );
+}
@@ -1,26 +1,153 @@
 /**
  * External dependencies.
  */
+import of from 'callbag-of';
 import dropUntil from 'callbag-drop-until';
 import distinctUntilChanged from 'callbag-distinct-until-changed';
 import { hasFilter, applyFilters } from '@wordpress/hooks';
+import { __ } from '@wordpress/i18n';
 import { compose } from '@wordpress/compose';
-import { withDispatch } from '@wordpress/data';
+import { withDispatch, withSelect } from '@wordpress/data';
 import { withEffects } from 'refract-callbag';
 import { debounce } from 'callbag-debounce';
+import {
+	get,
+	some,
+	every,
+	compact,
+	isEmpty,
+	isString,
+	isFunction
+} from 'lodash';
 import {
 	map,
 	merge,
-	filter,
+	concat,
+	flatten,
 	combine,
-	pipe,
-	take
+	fromPromise,
+	pipe
 } from 'callbag-basics';
 
 /**
  * Internal dependencies.
  */
-import required from './required';
+import { getValidatorType } from '../../registry/validators';
+
+/**
+ * Returns whether the given value is a promise.
+ *
+ * @param  {mixed}   value
+ * @return {boolean}
+ */
+function isPromise( value ) {
+	return !! value && isFunction( value.then );
+}
+
+/**
+ * Merges the results of the validators into a list of errors.
+ *
+ * @param  {Array}    results
+ * @return {string[]}
+ */
+function collectErrors( results ) {
+	return compact( [].concat( ...results ) );
+}
+
+/**
+ * Runs every validation rule of the field and collects the errors.
+ * Validators may return a promise (e.g. when the value must be checked
+ * by the server) and in that case the errors are resolved asynchronously.
+ *
+ * @param  {Object}  field
+ * @param  {mixed}   value
+ * @param  {boolean} required
+ * @return {mixed}
+ */
+function validate( field, value, required ) {
+	const hook = `carbon-fields.${ field.type }.validate`;
+	let rules = field.validation || [];
+	let results = [];
+
+	// The field specific filter takes care of the "required" check.
+	if ( hasFilter( hook ) ) {
+		results = results.concat( applyFilters( hook, { ...field, required }, value ) );
+	} else if ( required ) {
+		rules = [ { type: 'required' }, ...rules ];
+	}
+
+	rules.forEach( ( rule ) => {
+		const validator = getValidatorType( rule.type, 'default' );
+
+		if ( validator ) {
+			results = results.concat( validator( value, rule, field ) );
+		}
+	} );
+
+	if ( ! some( results, isPromise ) ) {
+		return collectErrors( results );
+	}
+
+	return Promise.all( results )
+		.then( collectErrors )
+		.catch( ( error ) => [
+			isString( error )
+				? error
+				: get( error, 'message', __( 'The value couldn\'t be validated.', 'carbon-fields-ui' ) )
+		] );
+}
+
+/**
+ * Creates a source that emits the effects of a single validation run.
+ * Hidden and disabled fields can't be changed by the user
+ * so they are always valid.
+ *
+ * @param  {Object}   field
+ * @param  {Array}    state
+ * @param  {boolean}  visible
+ * @param  {boolean}  transient
+ * @return {Function}
+ */
+function validation( field, [ value, required, disabled ], visible, transient ) {
+	if ( ! visible || disabled ) {
+		return of( {
+			type: 'VALIDATE',
+			payload: {
+				errors: [],
+				transient: false
+			}
+		} );
+	}
+
+	const result = validate( field, value, required );
+
+	if ( ! isPromise( result ) ) {
+		return of( {
+			type: 'VALIDATE',
+			payload: {
+				errors: result,
+				transient
+			}
+		} );
+	}
+
+	return concat(
+		of( {
+			type: 'VALIDATION_STARTED'
+		} ),
+
+		pipe(
+			fromPromise( result ),
+			map( ( errors ) => ( {
+				type: 'VALIDATE',
+				payload: {
+					errors,
+					transient
+				}
+			} ) )
+		)
+	);
+}
 
 /**
  * The function that controls the stream of side-effects.
@@ -30,41 +157,43 @@ import required from './required';
  * @return {Object}
  */
 function aperture( component, props ) {
-	if ( ! props.field.required ) {
+	const { field } = props;
+
+	if ( ! field.required && isEmpty( field.required_logic ) && isEmpty( field.validation ) ) {
 		return;
 	}
 
 	const mount$ = component.mount;
 	const unmount$ = component.unmount;
-	const value$ = component.observe( 'value' );
 	const visible$ = component.observe( 'visible' );
+	const state$ = combine(
+		component.observe( 'value' ),
+		component.observe( 'required' ),
+		component.observe( 'disabled' )
+	);
 
 	return merge(
+		// Every new validation run replaces the previous one
+		// so the responses of stale runs are ignored.
 		pipe(
-			combine( value$, visible$, mount$ ),
-			filter( ( [ , visible ] ) => visible ),
-			take( 1 ),
-			map( ( [ value ] ) => ( {
-				type: 'VALIDATE',
-				payload: {
-					value,
-					transient: true
-				}
-			} ) )
-		),
+			merge(
+				// Validate silently after mount and every time the field
+				// gets shown or hidden (e.g. by its container).
+				pipe(
+					combine( state$, visible$, mount$ ),
+					distinctUntilChanged( ( previous, next ) => previous[ 1 ] === next[ 1 ] ),
+					map( ( [ state, visible ] ) => validation( field, state, visible, true ) )
+				),
 
-		pipe(
-			value$,
-			dropUntil( mount$ ),
-			distinctUntilChanged(),
-			debounce( 250 ),
-			map( ( value ) => ( {
-				type: 'VALIDATE',
-				payload: {
-					value,
-					transient: false
-				}
-			} ) )
+				pipe(
+					combine( state$, visible$ ),
+					dropUntil( mount$ ),
+					distinctUntilChanged( ( previous, next ) => every( next[ 0 ], ( item, index ) => item === previous[ 0 ][ index ] ) ),
+					debounce( 250 ),
+					map( ( [ state, visible ] ) => validation( field, state, visible, false ) )
+				)
+			),
+			flatten
 		),
 
 		pipe(
@@ -86,25 +215,33 @@ function handler( props ) {
 	return function( effect ) {
 		const {
 			id,
-			field,
 			markAsInvalid,
 			markAsValid,
+			startValidation,
+			finishValidation,
 			lockSaving,
 			unlockSaving
 		} = props;
 
 		switch ( effect.type ) {
+			case 'VALIDATION_STARTED':
+				startValidation( id );
+
+				// Keep the saving locked until the validation is settled.
+				lockSaving( id );
+
+				break;
+
 			case 'VALIDATE':
-				const { value, transient } = effect.payload;
+				const { errors, transient } = effect.payload;
 
-				const hook = `carbon-fields.${ field.type }.validate`;
-				const error = hasFilter( hook )
-					? applyFilters( hook, field, value )
-					: required( value );
+				// The run may replace a pending one whose result is dropped,
+				// so the validation is settled by every run.
+				finishValidation( id );
 
-				if ( error ) {
+				if ( errors.length ) {
 					if ( ! transient ) {
-						markAsInvalid( id, error );
+						markAsInvalid( id, errors );
 					}
 
 					lockSaving( id );
@@ -121,6 +258,8 @@ function handler( props ) {
 			case 'RESET':
 				markAsValid( id );
 
+				finishValidation( id );
+
 				unlockSaving( id );
 
 				break;
@@ -131,15 +270,32 @@ function handler( props ) {
 const applyWithEffects = withEffects( aperture, { handler } );
 
 const applyWithDispatch = withDispatch( ( dispatch ) => {
-	const { markAsValid, markAsInvalid } = dispatch( 'carbon-fields/core' );
+	const {
+		markAsValid,
+		markAsInvalid,
+		startValidation,
+		finishValidation
+	} = dispatch( 'carbon-fields/core' );
 
 	return {
 		markAsValid,
-		markAsInvalid
+		markAsInvalid,
+		startValidation,
+		finishValidation
+	};
+} );
+
+const applyWithSelect = withSelect( ( select, props ) => {
+	const { isFieldRequired, isFieldDisabled } = select( 'carbon-fields/core' );
+
+	return {
+		required: !! props.field.required || isFieldRequired( props.id ),
+		disabled: isFieldDisabled( props.id )
 	};
 } );
 
 export default compose(
+	applyWithSelect,
 	applyWithDispatch,
 	applyWithEffects
 );
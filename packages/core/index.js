@@ -9,6 +9,8 @@ import { doAction } from '@wordpress/hooks';
  */
 import './store';
 import './fields';
+import './validators';
+import './comparers';
 
 /**
  * Sets the locale data for the package type
@@ -19,13 +21,35 @@ setLocaleData( window.cf.config.locale, 'carbon-fields-ui' );
  * Public API.
  */
 export { createRegistry } from './registry';
-export { getFieldType, registerFieldType } from './registry/fields';
+export {
+	getFieldType,
+	getFieldTypes,
+	getFallbackFieldType,
+	getHeadlessFieldType,
+	resolveFieldType,
+	getFieldTypeMetadata,
+	resolveFieldTypeMetadata,
+	hasFieldType,
+	registerFieldType,
+	replaceFieldType,
+	unregisterFieldType
+} from './registry/fields';
+export { getValidatorType, registerValidatorType } from './registry/validators';
+export {
+	getComparer,
+	getComparers,
+	findComparer,
+	registerComparer
+} from './registry/comparers';
 export { default as Field } from './components/field';
+export { default as FieldBoundary } from './components/field-boundary';
+export { default as HiddenInputs } from './components/hidden-inputs';
 export { default as withFilters } from './hocs/with-filters';
 export { default as withProps } from './hocs/with-props';
 export { default as withValidation } from './hocs/with-validation';
 export { default as withConditionalLogic } from './hocs/with-conditional-logic';
 export { default as uniqueId } from './utils/unique-id';
+export { default as apiFetch } from './utils/api-fetch';
 export { default as fromSelector } from './utils/from-selector';
 
 /**
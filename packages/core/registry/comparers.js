@@ -0,0 +1,105 @@
+/* eslint no-console: [ 'error', { allow: [ 'error' ] } ] */
+
+/**
+ * External dependencies.
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	find,
+	isString,
+	isArray,
+	isFunction,
+	isPlainObject
+} from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import base from '../comparers/base';
+
+/**
+ * Keeps track of registered comparers.
+ *
+ * @type {Object}
+ */
+const comparers = {};
+
+/**
+ * Keeps track of the registration order.
+ * Comparers registered earlier take precedence when
+ * multiple comparers support the same operator.
+ *
+ * @type {string[]}
+ */
+const order = [];
+
+/**
+ * Registers a new comparer.
+ *
+ * @param  {string} name
+ * @param  {Object} comparer
+ * @return {boolean}
+ */
+export function registerComparer( name, comparer ) {
+	if ( ! isString( name ) ) {
+		console.error( __( 'Comparer name must be a string.', 'carbon-fields-ui' ) );
+		return false;
+	}
+
+	if ( comparers[ name ] ) {
+		console.error( sprintf( __( 'Comparer %s is already registered.', 'carbon-fields-ui' ), name ) );
+		return false;
+	}
+
+	if ( ! isPlainObject( comparer ) || ! isArray( comparer.operators ) || ! isFunction( comparer.evaluate ) ) {
+		console.error( __( 'The "comparer" param must be an object with "operators" and "evaluate" keys.', 'carbon-fields-ui' ) );
+		return false;
+	}
+
+	comparers[ name ] = {
+		...base,
+		...comparer
+	};
+
+	order.push( name );
+
+	return true;
+}
+
+/**
+ * Returns a registered comparer.
+ *
+ * @param  {string} name
+ * @return {?Object}
+ */
+export function getComparer( name ) {
+	if ( ! comparers[ name ] ) {
+		console.error( sprintf( __( 'Comparer %s isn\'t registered.', 'carbon-fields-ui' ), name ) );
+		return;
+	}
+
+	return comparers[ name ];
+}
+
+/**
+ * Returns the names of all registered comparers.
+ *
+ * @return {string[]}
+ */
+export function getComparers() {
+	return [ ...order ];
+}
+
+/**
+ * Returns the first comparer that supports the given operator.
+ * The lookup can be limited to a subset of the registered comparers.
+ *
+ * @param  {string}   operator
+ * @param  {string[]} [names]
+ * @return {?Object}
+ */
+export function findComparer( operator, names = order ) {
+	const name = find( names, ( item ) => comparers[ item ] && comparers[ item ].isOperatorSupported( operator ) );
+
+	return name ? comparers[ name ] : undefined;
+}
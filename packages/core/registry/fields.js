@@ -1,12 +1,123 @@
+/* eslint no-console: [ 'error', { allow: [ 'error' ] } ] */
+
+/**
+ * External dependencies.
+ */
+import { Fragment } from '@wordpress/element';
+import { applyFilters } from '@wordpress/hooks';
+import { __, sprintf } from '@wordpress/i18n';
+
 /**
  * Internal dependencies.
  */
 import { createRegistry } from './';
+import withFilters from '../hocs/with-filters';
+import FallbackField from '../fields/fallback';
+import HeadlessField from '../fields/headless';
 
 export const {
 	registerFieldType,
-	getFieldType
+	unregisterFieldType,
+	replaceFieldType,
+	getFieldType,
+	getFieldTypes,
+	hasFieldType,
+	getFieldTypeMetadata,
+	resolveFieldTypeMetadata
 } = createRegistry( 'field', [
 	'metabox',
 	'block'
 ] );
+
+/**
+ * Keeps track of the fallback components per context.
+ *
+ * @type {Object}
+ */
+const fallbacks = {};
+
+/**
+ * Keeps track of the headless components per context.
+ *
+ * @type {Object}
+ */
+const headless = {};
+
+/**
+ * Keeps track of the reported types so the console isn't flooded
+ * on every render.
+ *
+ * @type {string[]}
+ */
+const reported = [];
+
+/**
+ * Returns the component used for the fields that can't be rendered.
+ * It goes through the same hooks as the registered types so it stays
+ * connected to the data of the given context.
+ *
+ * The value is submitted by the headless component of the context,
+ * the same way as the value of the fields which aren't displayed.
+ *
+ * @param  {string} context
+ * @return {Function}
+ */
+export function getFallbackFieldType( context ) {
+	if ( ! fallbacks[ context ] ) {
+		const HeadlessEdit = getHeadlessFieldType( context );
+		const ContextFallbackField = ( props ) => (
+			<Fragment>
+				<FallbackField { ...props } />
+				<HeadlessEdit { ...props } />
+			</Fragment>
+		);
+
+		fallbacks[ context ] = applyFilters( 'carbon-fields.register-field-type', 'fallback', context, ContextFallbackField );
+	}
+
+	return fallbacks[ context ];
+}
+
+/**
+ * Returns the component that replaces the interface of the fields which aren't displayed.
+ * The context can render the inputs that must be submitted with the form
+ * through the `carbon-fields.headless.{context}` filter.
+ *
+ * @param  {string} context
+ * @return {Function}
+ */
+export function getHeadlessFieldType( context ) {
+	if ( ! headless[ context ] ) {
+		headless[ context ] = withFilters( `carbon-fields.headless.${ context }` )( HeadlessField );
+	}
+
+	return headless[ context ];
+}
+
+/**
+ * Returns a registered type or the fallback component if the type
+ * isn't available in the given context.
+ *
+ * @param  {string} type
+ * @param  {string} context
+ * @return {Function}
+ */
+export function resolveFieldType( type, context ) {
+	if ( hasFieldType( type, context ) ) {
+		return getFieldType( type, context );
+	}
+
+	if ( reported.indexOf( `${ type }/${ context }` ) === -1 ) {
+		reported.push( `${ type }/${ context }` );
+
+		console.error(
+			sprintf(
+				__( 'Field %1$s isn\'t registered for the %2$s context. Its value is rendered read-only.', 'carbon-fields-ui' ),
+				type,
+				context
+			)
+		);
+	}
+
+	return getFallbackFieldType( context );
+}
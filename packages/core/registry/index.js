@@ -6,8 +6,15 @@
 import { applyFilters } from '@wordpress/hooks';
 import { __, sprintf } from '@wordpress/i18n';
 import {
+	has,
+	keys,
+	every,
+	noop,
+	identity,
+	isArray,
 	isString,
 	isFunction,
+	isPlainObject,
 	startCase
 } from 'lodash';
 
@@ -16,7 +23,7 @@ import {
  *
  * @param  {string}   domain
  * @param  {string[]} supportedContexts
- * @return {boolean}
+ * @return {Object}
  */
 export function createRegistry( domain, supportedContexts ) {
 	const domainStartCased = startCase( domain );
@@ -29,13 +36,106 @@ export function createRegistry( domain, supportedContexts ) {
 	const types = {};
 
 	/**
-	 * Registers a new type.
+	 * The metadata of the types which don't declare it.
+	 *
+	 * @type {Object}
+	 */
+	const defaultMetadata = {
+		contexts: supportedContexts,
+		valueShape: 'mixed',
+		defaultValue: noop,
+		serialize: identity,
+		deserialize: identity
+	};
+
+	/**
+	 * Validates and fills the missing keys of the type's metadata.
+	 *
+	 * @param  {Object}   metadata
+	 * @param  {string[]} [metadata.contexts]     The contexts in which the type can be used.
+	 * @param  {string}   [metadata.valueShape]   Describes the value, e.g. `string`, `array` or `object`.
+	 * @param  {Function} [metadata.defaultValue] Creates the value of the instances in new groups.
+	 *                                            The default value set on the server is used when it returns `undefined`.
+	 * @param  {Function} [metadata.serialize]    Converts the value to the format that is submitted and exported.
+	 * @param  {Function} [metadata.deserialize]  Converts an exported value back when it's imported.
+	 * @return {?Object}
+	 */
+	function normalizeMetadata( metadata ) {
+		if ( ! isPlainObject( metadata ) ) {
+			console.error( __( 'The "metadata" param must be an object.', 'carbon-fields-ui' ) );
+			return null;
+		}
+
+		const normalized = {
+			...defaultMetadata,
+			...metadata
+		};
+
+		if ( ! isArray( normalized.contexts ) || ! every( normalized.contexts, ( context ) => supportedContexts.includes( context ) ) ) {
+			console.error(
+				sprintf(
+					__( 'The "contexts" metadata must be a subset of - %s .', 'carbon-fields-ui' ),
+					supportedContexts.join( ', ' )
+				)
+			);
+			return null;
+		}
+
+		if ( ! isString( normalized.valueShape ) ) {
+			console.error( __( 'The "valueShape" metadata must be a string.', 'carbon-fields-ui' ) );
+			return null;
+		}
+
+		if ( ! every( [ normalized.defaultValue, normalized.serialize, normalized.deserialize ], isFunction ) ) {
+			console.error( __( 'The "defaultValue", "serialize" and "deserialize" metadata must be functions.', 'carbon-fields-ui' ) );
+			return null;
+		}
+
+		return normalized;
+	}
+
+	/**
+	 * Returns whether the type is registered and logs an error if it isn't.
 	 *
 	 * @param  {string} type
+	 * @return {boolean}
+	 */
+	function ensureType( type ) {
+		if ( ! types[ type ] ) {
+			console.error(
+				sprintf(
+					__( '%s %s isn\'t registered.', 'carbon-fields-ui' ),
+					domainStartCased,
+					type
+				)
+			);
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Returns the component that will be used in the given context.
+	 *
+	 * @param  {string}   type
+	 * @param  {string}   context
+	 * @param  {Function} component
+	 * @return {Function}
+	 */
+	function applyTypeFilters( type, context, component ) {
+		return applyFilters( `carbon-fields.register-${ domain }-type`, type, context, component );
+	}
+
+	/**
+	 * Registers a new type.
+	 *
+	 * @param  {string}   type
 	 * @param  {Function} component
+	 * @param  {Object}   [metadata]
 	 * @return {boolean}
 	 */
-	function registerType( type, component ) {
+	function registerType( type, component, metadata = {} ) {
 		if ( ! isString( type ) ) {
 			console.error( sprintf( __( '%1$s type must be a string.', 'carbon-fields-ui' ), domainStartCased ) );
 			return false;
@@ -55,12 +155,85 @@ export function createRegistry( domain, supportedContexts ) {
 			return false;
 		}
 
-		types[ type ] = supportedContexts.reduce( ( accumulator, context ) => {
-			return {
-				...accumulator,
-				[ context ]: applyFilters( `carbon-fields.register-${ domain }-type`, type, context, component )
-			};
-		}, {} );
+		const normalizedMetadata = normalizeMetadata( metadata );
+
+		if ( ! normalizedMetadata ) {
+			return false;
+		}
+
+		types[ type ] = {
+			metadata: normalizedMetadata,
+			components: normalizedMetadata.contexts.reduce( ( accumulator, context ) => {
+				return {
+					...accumulator,
+					[ context ]: applyTypeFilters( type, context, component )
+				};
+			}, {} )
+		};
+
+		return true;
+	}
+
+	/**
+	 * Removes a registered type.
+	 *
+	 * @param  {string} type
+	 * @return {boolean}
+	 */
+	function unregisterType( type ) {
+		if ( ! ensureType( type ) ) {
+			return false;
+		}
+
+		delete types[ type ];
+
+		return true;
+	}
+
+	/**
+	 * Replaces the component of a registered type.
+	 * When a context is provided only the component used in it is replaced.
+	 *
+	 * @param  {string}   type
+	 * @param  {Function} component
+	 * @param  {string}   [context]
+	 * @return {boolean}
+	 */
+	function replaceType( type, component, context ) {
+		if ( ! ensureType( type ) ) {
+			return false;
+		}
+
+		if ( ! component || ! isFunction( component ) ) {
+			console.error( __( 'The "component" param must be a function.', 'carbon-fields-ui' ) );
+			return false;
+		}
+
+		const { metadata, components } = types[ type ];
+
+		if ( context !== undefined && ! metadata.contexts.includes( context ) ) {
+			console.error(
+				sprintf(
+					__( '%1$s %2$s doesn\'t support the %3$s context.', 'carbon-fields-ui' ),
+					domainStartCased,
+					type,
+					context
+				)
+			);
+			return false;
+		}
+
+		const contexts = context !== undefined ? [ context ] : metadata.contexts;
+
+		types[ type ] = {
+			metadata,
+			components: contexts.reduce( ( accumulator, item ) => {
+				return {
+					...accumulator,
+					[ item ]: applyTypeFilters( type, item, component )
+				};
+			}, components )
+		};
 
 		return true;
 	}
@@ -83,22 +256,81 @@ export function createRegistry( domain, supportedContexts ) {
 			return;
 		}
 
-		if ( ! types[ type ] ) {
+		if ( ! ensureType( type ) ) {
+			return;
+		}
+
+		if ( ! has( types[ type ].components, context ) ) {
 			console.error(
 				sprintf(
-					__( '%s %s isn\'t registered.', 'carbon-fields-ui' ),
+					__( '%1$s %2$s doesn\'t support the %3$s context.', 'carbon-fields-ui' ),
 					domainStartCased,
-					type
+					type,
+					context
 				)
 			);
 			return;
 		}
 
-		return types[ type ][ context ];
+		return types[ type ].components[ context ];
+	}
+
+	/**
+	 * Returns the names of all registered types.
+	 * The list can be limited to the types that support the given context.
+	 *
+	 * @param  {string} [context]
+	 * @return {string[]}
+	 */
+	function getTypes( context ) {
+		return keys( types ).filter( ( type ) => context === undefined || has( types[ type ].components, context ) );
+	}
+
+	/**
+	 * Returns whether the type is registered.
+	 * The check can be limited to the given context.
+	 *
+	 * @param  {string} type
+	 * @param  {string} [context]
+	 * @return {boolean}
+	 */
+	function hasType( type, context ) {
+		return !! types[ type ] && ( context === undefined || has( types[ type ].components, context ) );
+	}
+
+	/**
+	 * Returns the metadata of a registered type.
+	 *
+	 * @param  {string} type
+	 * @return {?Object}
+	 */
+	function getTypeMetadata( type ) {
+		if ( ! ensureType( type ) ) {
+			return;
+		}
+
+		return types[ type ].metadata;
+	}
+
+	/**
+	 * Returns the metadata of the type or the default one if the type isn't
+	 * registered, e.g. for the fields that are rendered by the fallback.
+	 *
+	 * @param  {string} type
+	 * @return {Object}
+	 */
+	function resolveTypeMetadata( type ) {
+		return types[ type ] ? types[ type ].metadata : defaultMetadata;
 	}
 
 	return {
 		[ `register${ domainStartCased }Type` ]: registerType,
-		[ `get${ domainStartCased }Type` ]: getType
+		[ `unregister${ domainStartCased }Type` ]: unregisterType,
+		[ `replace${ domainStartCased }Type` ]: replaceType,
+		[ `get${ domainStartCased }Type` ]: getType,
+		[ `get${ domainStartCased }Types` ]: getTypes,
+		[ `has${ domainStartCased }Type` ]: hasType,
+		[ `get${ domainStartCased }TypeMetadata` ]: getTypeMetadata,
+		[ `resolve${ domainStartCased }TypeMetadata` ]: resolveTypeMetadata
 	};
 }
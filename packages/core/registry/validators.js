@@ -0,0 +1,11 @@
+/**
+ * Internal dependencies.
+ */
+import { createRegistry } from './';
+
+export const {
+	registerValidatorType,
+	getValidatorType
+} = createRegistry( 'validator', [
+	'default'
+] );
@@ -17,7 +17,7 @@ export function markAsValid( fieldId ) {
  * Returns an action object used to mark the field as invalid.
  *
  * @param  {string} fieldId
- * @param  {string} error
+ * @param  {mixed}  error
  * @return {Object}
  */
 export function markAsInvalid( fieldId, error ) {
@@ -30,6 +30,38 @@ export function markAsInvalid( fieldId, error ) {
 	};
 }
 
+/**
+ * Returns an action object used to signal that an asynchronous
+ * validation of the field is in progress.
+ *
+ * @param  {string} fieldId
+ * @return {Object}
+ */
+export function startValidation( fieldId ) {
+	return {
+		type: 'START_VALIDATION',
+		payload: {
+			fieldId
+		}
+	};
+}
+
+/**
+ * Returns an action object used to signal that the asynchronous
+ * validation of the field is settled.
+ *
+ * @param  {string} fieldId
+ * @return {Object}
+ */
+export function finishValidation( fieldId ) {
+	return {
+		type: 'FINISH_VALIDATION',
+		payload: {
+			fieldId
+		}
+	};
+}
+
 /**
  * Returns an action object used to show the field.
  *
@@ -59,3 +91,63 @@ export function hideField( fieldId ) {
 		}
 	};
 }
+
+/**
+ * Returns an action object used to mark the field as required.
+ *
+ * @param  {string} fieldId
+ * @return {Object}
+ */
+export function markAsRequired( fieldId ) {
+	return {
+		type: 'MARK_AS_REQUIRED',
+		payload: {
+			fieldId
+		}
+	};
+}
+
+/**
+ * Returns an action object used to mark the field as optional.
+ *
+ * @param  {string} fieldId
+ * @return {Object}
+ */
+export function markAsOptional( fieldId ) {
+	return {
+		type: 'MARK_AS_OPTIONAL',
+		payload: {
+			fieldId
+		}
+	};
+}
+
+/**
+ * Returns an action object used to enable the field.
+ *
+ * @param  {string} fieldId
+ * @return {Object}
+ */
+export function enableField( fieldId ) {
+	return {
+		type: 'ENABLE_FIELD',
+		payload: {
+			fieldId
+		}
+	};
+}
+
+/**
+ * Returns an action object used to disable the field.
+ *
+ * @param  {string} fieldId
+ * @return {Object}
+ */
+export function disableField( fieldId ) {
+	return {
+		type: 'DISABLE_FIELD',
+		payload: {
+			fieldId
+		}
+	};
+}
@@ -29,6 +29,35 @@ export function validation( state = {}, action ) {
 	}
 }
 
+/**
+ * The reducer that keeps track of the fields that are
+ * waiting for an asynchronous validation.
+ *
+ * @param  {string[]} state
+ * @param  {Object}   action
+ * @return {Object}
+ */
+export function validatingFields( state = [], action ) {
+	switch ( action.type ) {
+		case 'START_VALIDATION':
+			if ( state.indexOf( action.payload.fieldId ) > -1 ) {
+				return state;
+			}
+
+			return state.concat( action.payload.fieldId );
+
+		case 'FINISH_VALIDATION':
+			if ( state.indexOf( action.payload.fieldId ) === -1 ) {
+				return state;
+			}
+
+			return without( state, action.payload.fieldId );
+
+		default:
+			return state;
+	}
+}
+
 /**
  * The reducer that keeps track of the fields that are hidden
  * by conditional logic.
@@ -58,7 +87,68 @@ export function hiddenFields( state = [], action ) {
 	}
 }
 
+/**
+ * The reducer that keeps track of the fields that are required
+ * by conditional logic.
+ *
+ * @param  {string[]} state
+ * @param  {Object}   action
+ * @return {Object}
+ */
+export function requiredFields( state = [], action ) {
+	switch ( action.type ) {
+		case 'MARK_AS_REQUIRED':
+			if ( state.indexOf( action.payload.fieldId ) > -1 ) {
+				return state;
+			}
+
+			return state.concat( action.payload.fieldId );
+
+		case 'MARK_AS_OPTIONAL':
+			if ( state.indexOf( action.payload.fieldId ) === -1 ) {
+				return state;
+			}
+
+			return without( state, action.payload.fieldId );
+
+		default:
+			return state;
+	}
+}
+
+/**
+ * The reducer that keeps track of the fields that are disabled
+ * by conditional logic.
+ *
+ * @param  {string[]} state
+ * @param  {Object}   action
+ * @return {Object}
+ */
+export function disabledFields( state = [], action ) {
+	switch ( action.type ) {
+		case 'ENABLE_FIELD':
+			if ( state.indexOf( action.payload.fieldId ) === -1 ) {
+				return state;
+			}
+
+			return without( state, action.payload.fieldId );
+
+		case 'DISABLE_FIELD':
+			if ( state.indexOf( action.payload.fieldId ) > -1 ) {
+				return state;
+			}
+
+			return state.concat( action.payload.fieldId );
+
+		default:
+			return state;
+	}
+}
+
 export default combineReducers( {
 	validation,
-	hiddenFields
+	validatingFields,
+	hiddenFields,
+	requiredFields,
+	disabledFields
 } );
@@ -1,3 +1,13 @@
+/**
+ * Returns the validation errors of all invalid fields.
+ *
+ * @param  {Object} state
+ * @return {Object}
+ */
+export function getValidationErrors( state ) {
+	return state.validation;
+}
+
 /**
  * Returns the validation error for the specified field.
  *
@@ -9,6 +19,17 @@ export function getValidationError( state, fieldId ) {
 	return state.validation[ fieldId ] || null;
 }
 
+/**
+ * Returns whether the field is waiting for an asynchronous validation.
+ *
+ * @param  {Object} state
+ * @param  {string} fieldId
+ * @return {boolean}
+ */
+export function isFieldValidating( state, fieldId ) {
+	return state.validatingFields.indexOf( fieldId ) > -1;
+}
+
 /**
  * Returns whether the field is visible.
  *
@@ -19,3 +40,25 @@ export function getValidationError( state, fieldId ) {
 export function isFieldVisible( state, fieldId ) {
 	return state.hiddenFields.indexOf( fieldId ) === -1;
 }
+
+/**
+ * Returns whether the field is required by conditional logic.
+ *
+ * @param  {Object} state
+ * @param  {string} fieldId
+ * @return {boolean}
+ */
+export function isFieldRequired( state, fieldId ) {
+	return state.requiredFields.indexOf( fieldId ) > -1;
+}
+
+/**
+ * Returns whether the field is disabled by conditional logic.
+ *
+ * @param  {Object} state
+ * @param  {string} fieldId
+ * @return {boolean}
+ */
+export function isFieldDisabled( state, fieldId ) {
+	return state.disabledFields.indexOf( fieldId ) > -1;
+}
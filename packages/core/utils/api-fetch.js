@@ -2,7 +2,17 @@
  * External dependencies.
  */
 import { __ } from '@wordpress/i18n';
+import { get } from 'lodash';
 
+/**
+ * Sends a request to the REST API. The request is rejected with
+ * the message and the data of the error returned by the server.
+ *
+ * @param  {string}  url
+ * @param  {string}  method
+ * @param  {?Object} data
+ * @return {Promise}
+ */
 export default ( url, method, data = null ) => {
 	return new Promise( ( resolve, reject ) => {
 		const request = window.jQuery.ajax( {
@@ -15,8 +25,11 @@ export default ( url, method, data = null ) => {
 			resolve( response );
 		} );
 
-		request.fail( () => {
-			reject( __( 'An error occured.', 'carbon-fields-ui' ) );
+		request.fail( ( xhr ) => {
+			reject( {
+				message: get( xhr, [ 'responseJSON', 'message' ], __( 'An error occured.', 'carbon-fields-ui' ) ),
+				data: get( xhr, [ 'responseJSON', 'data' ], {} )
+			} );
 		} );
 	} );
 };
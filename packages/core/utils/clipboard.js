@@ -0,0 +1,58 @@
+/**
+ * External dependencies.
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Writes the text to the system clipboard.
+ * The browsers without the async Clipboard API (or outside of
+ * secure contexts) fallback to the `copy` command.
+ *
+ * @param  {string} text
+ * @return {Promise}
+ */
+export function writeClipboard( text ) {
+	if ( window.navigator.clipboard && window.navigator.clipboard.writeText ) {
+		return window.navigator.clipboard.writeText( text );
+	}
+
+	return new Promise( ( resolve, reject ) => {
+		const textarea = document.createElement( 'textarea' );
+
+		textarea.value = text;
+		textarea.setAttribute( 'readonly', '' );
+		textarea.style.position = 'fixed';
+		textarea.style.opacity = '0';
+
+		document.body.appendChild( textarea );
+		textarea.select();
+
+		const copied = document.execCommand( 'copy' );
+
+		document.body.removeChild( textarea );
+
+		if ( copied ) {
+			resolve();
+		} else {
+			reject();
+		}
+	} );
+}
+
+/**
+ * Reads the text from the system clipboard.
+ * The user is asked to paste the text manually when
+ * the browser doesn't allow reading of the clipboard.
+ *
+ * @return {Promise}
+ */
+export function readClipboard() {
+	/* eslint-disable-next-line no-alert */
+	const prompt = () => window.prompt( __( 'Please paste the copied content:', 'carbon-fields-ui' ) ) || '';
+
+	if ( window.navigator.clipboard && window.navigator.clipboard.readText ) {
+		return window.navigator.clipboard.readText().catch( prompt );
+	}
+
+	return Promise.resolve( prompt() );
+}
@@ -0,0 +1,16 @@
+/**
+ * Creates a regular expression from the given pattern.
+ * Patterns wrapped in delimiters (e.g. `/^[a-z]+$/i`) keep their flags.
+ *
+ * @param  {string} pattern
+ * @return {RegExp}
+ */
+export default function createRegExp( pattern ) {
+	const matches = pattern.match( /^\/(.*)\/([gimsuy]*)$/ );
+
+	if ( matches ) {
+		return new RegExp( matches[ 1 ], matches[ 2 ] );
+	}
+
+	return new RegExp( pattern );
+}
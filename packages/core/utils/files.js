@@ -0,0 +1,38 @@
+/**
+ * Starts the download of a file with the given content.
+ *
+ * @param  {string} filename
+ * @param  {string} content
+ * @param  {string} type
+ * @return {void}
+ */
+export function downloadFile( filename, content, type ) {
+	const url = window.URL.createObjectURL( new window.Blob( [ content ], { type } ) );
+	const link = document.createElement( 'a' );
+
+	link.href = url;
+	link.download = filename;
+
+	document.body.appendChild( link );
+	link.click();
+	document.body.removeChild( link );
+
+	window.URL.revokeObjectURL( url );
+}
+
+/**
+ * Reads the content of a file selected by the user.
+ *
+ * @param  {File} file
+ * @return {Promise}
+ */
+export function readFile( file ) {
+	return new Promise( ( resolve, reject ) => {
+		const reader = new window.FileReader();
+
+		reader.onload = () => resolve( reader.result );
+		reader.onerror = () => reject( reader.error );
+
+		reader.readAsText( file );
+	} );
+}
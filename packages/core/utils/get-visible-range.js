@@ -0,0 +1,30 @@
+/**
+ * Returns the range of the items that are visible in a scrollable list
+ * with items of fixed height, together with the space that has to be
+ * reserved before and after them.
+ *
+ * @param  {Object} args
+ * @param  {number} args.count
+ * @param  {number} args.itemHeight
+ * @param  {number} args.scrollTop
+ * @param  {number} args.viewportHeight
+ * @param  {number} [args.overscan]
+ * @return {Object}
+ */
+export default function getVisibleRange( {
+	count,
+	itemHeight,
+	scrollTop,
+	viewportHeight,
+	overscan = 5
+} ) {
+	const start = Math.max( 0, Math.floor( scrollTop / itemHeight ) - overscan );
+	const end = Math.min( count, Math.ceil( ( scrollTop + viewportHeight ) / itemHeight ) + overscan );
+
+	return {
+		start,
+		end: Math.max( start, end ),
+		before: start * itemHeight,
+		after: Math.max( 0, count - end ) * itemHeight
+	};
+}
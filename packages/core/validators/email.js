@@ -0,0 +1,21 @@
+/**
+ * External dependencies.
+ */
+import { __ } from '@wordpress/i18n';
+import { toString } from 'lodash';
+
+/**
+ * Validates that the value is an email address.
+ *
+ * @param  {mixed}   value
+ * @return {?string}
+ */
+export default function email( value ) {
+	value = toString( value );
+
+	if ( value === '' || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test( value ) ) {
+		return null;
+	}
+
+	return __( 'Please enter a valid email address.', 'carbon-fields-ui' );
+}
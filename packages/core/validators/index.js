@@ -0,0 +1,49 @@
+/**
+ * External dependencies.
+ */
+import { addFilter } from '@wordpress/hooks';
+
+/**
+ * Internal dependencies.
+ */
+import { registerValidatorType } from '../registry/validators';
+import required from './required';
+import minLength from './min-length';
+import maxLength from './max-length';
+import pattern from './pattern';
+import email from './email';
+import url from './url';
+import numeric from './numeric';
+import minItems from './min-items';
+import maxItems from './max-items';
+
+/**
+ * Allows the rules to replace the default error message
+ * through the `message` key.
+ */
+addFilter( 'carbon-fields.register-validator-type', 'carbon-fields/core', ( type, context, validator ) => {
+	return ( value, rule, field ) => {
+		const error = validator( value, rule, field );
+
+		if ( error && rule.message ) {
+			return rule.message;
+		}
+
+		return error;
+	};
+} );
+
+/**
+ * Registers the validators.
+ */
+[
+	[ 'required', required ],
+	[ 'min_length', minLength ],
+	[ 'max_length', maxLength ],
+	[ 'pattern', pattern ],
+	[ 'email', email ],
+	[ 'url', url ],
+	[ 'numeric', numeric ],
+	[ 'min_items', minItems ],
+	[ 'max_items', maxItems ]
+].forEach( ( validator ) => registerValidatorType( ...validator ) );
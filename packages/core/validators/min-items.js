@@ -0,0 +1,21 @@
+/**
+ * External dependencies.
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { size } from 'lodash';
+
+/**
+ * Validates that the value contains at least `rule.value` items.
+ * Used by the fields that hold a list - complex, association, media gallery.
+ *
+ * @param  {mixed}   value
+ * @param  {Object}  rule
+ * @return {?string}
+ */
+export default function minItems( value, rule ) {
+	if ( size( value ) >= rule.value ) {
+		return null;
+	}
+
+	return sprintf( __( 'Minimum number of items not reached (%d).', 'carbon-fields-ui' ), Number( rule.value ) );
+}
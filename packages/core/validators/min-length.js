@@ -0,0 +1,22 @@
+/**
+ * External dependencies.
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { toString } from 'lodash';
+
+/**
+ * Validates that the value has at least `rule.value` characters.
+ *
+ * @param  {mixed}   value
+ * @param  {Object}  rule
+ * @return {?string}
+ */
+export default function minLength( value, rule ) {
+	value = toString( value );
+
+	if ( value === '' || value.length >= rule.value ) {
+		return null;
+	}
+
+	return sprintf( __( 'Please enter at least %d characters.', 'carbon-fields-ui' ), Number( rule.value ) );
+}
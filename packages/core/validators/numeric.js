@@ -0,0 +1,37 @@
+/**
+ * External dependencies.
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { toString, isNil } from 'lodash';
+
+/**
+ * Validates that the value is a number within
+ * the optional `rule.min` and `rule.max` boundaries.
+ *
+ * @param  {mixed}   value
+ * @param  {Object}  rule
+ * @return {?string}
+ */
+export default function numeric( value, rule ) {
+	value = toString( value ).trim();
+
+	if ( value === '' ) {
+		return null;
+	}
+
+	const number = Number( value );
+
+	if ( isNaN( number ) ) {
+		return __( 'Please enter a valid number.', 'carbon-fields-ui' );
+	}
+
+	if ( ! isNil( rule.min ) && number < rule.min ) {
+		return sprintf( __( 'Please enter a value greater than or equal to %s.', 'carbon-fields-ui' ), rule.min );
+	}
+
+	if ( ! isNil( rule.max ) && number > rule.max ) {
+		return sprintf( __( 'Please enter a value less than or equal to %s.', 'carbon-fields-ui' ), rule.max );
+	}
+
+	return null;
+}
@@ -0,0 +1,43 @@
+/* eslint no-console: [ 'error', { allow: [ 'error' ] } ] */
+
+/**
+ * External dependencies.
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { toString } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import createRegExp from '../utils/create-reg-exp';
+
+/**
+ * Validates that the value matches the regular expression in `rule.value`.
+ *
+ * @param  {mixed}   value
+ * @param  {Object}  rule
+ * @return {?string}
+ */
+export default function pattern( value, rule ) {
+	value = toString( value );
+
+	if ( value === '' ) {
+		return null;
+	}
+
+	let regExp;
+
+	try {
+		regExp = createRegExp( rule.value );
+	} catch ( e ) {
+		console.error( sprintf( __( 'Invalid validation pattern - %s', 'carbon-fields-ui' ), e.message ) );
+
+		return null;
+	}
+
+	if ( regExp.test( value ) ) {
+		return null;
+	}
+
+	return __( 'Please match the requested format.', 'carbon-fields-ui' );
+}
@@ -0,0 +1,21 @@
+/**
+ * External dependencies.
+ */
+import { __ } from '@wordpress/i18n';
+import { toString } from 'lodash';
+
+/**
+ * Validates that the value is an absolute URL.
+ *
+ * @param  {mixed}   value
+ * @return {?string}
+ */
+export default function url( value ) {
+	value = toString( value );
+
+	if ( value === '' || /^(https?|ftp):\/\/[^\s/$.?#][^\s]*$/i.test( value ) ) {
+		return null;
+	}
+
+	return __( 'Please enter a valid URL.', 'carbon-fields-ui' );
+}
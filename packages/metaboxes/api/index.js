@@ -0,0 +1,90 @@
+/**
+ * External dependencies.
+ */
+import { select, subscribe as subscribeToStore } from '@wordpress/data';
+import { __, sprintf } from '@wordpress/i18n';
+import { isEqual } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import applyFieldValue from '../utils/apply-field-value';
+import exportFieldValue from '../utils/export-field-value';
+import { getFieldIdByPath, getFieldPath } from '../utils/field-path';
+
+/**
+ * Returns the value of the field that matches the path.
+ * The groups of complex fields are returned as plain objects
+ * with `_type` key and values keyed by the names of their fields.
+ *
+ * @example getValue( 'crb_slider', 'crb_slides[0]:slide/title' )
+ *
+ * @param  {string} containerId
+ * @param  {string} path
+ * @return {mixed}
+ */
+export function getValue( containerId, path ) {
+	const fieldId = getFieldIdByPath( containerId, path );
+
+	if ( ! fieldId ) {
+		return undefined;
+	}
+
+	const { getFields } = select( 'carbon-fields/metaboxes' );
+	const fields = getFields();
+
+	return exportFieldValue( fields[ fieldId ], fields );
+}
+
+/**
+ * Updates the value of the field that matches the path.
+ * The value of complex fields should have the shape returned by `getValue`.
+ *
+ * @param  {string} containerId
+ * @param  {string} path
+ * @param  {mixed}  value
+ * @return {boolean}
+ */
+export function setValue( containerId, path, value ) {
+	const fieldId = getFieldIdByPath( containerId, path );
+
+	if ( ! fieldId ) {
+		// eslint-disable-next-line no-console
+		console.error( sprintf( __( 'Could not find field "%1$s" in container "%2$s".', 'carbon-fields-ui' ), path, containerId ) );
+
+		return false;
+	}
+
+	applyFieldValue( fieldId, value );
+
+	return true;
+}
+
+/**
+ * Invokes the callback whenever the value of the field that matches the path changes.
+ * The path is resolved on every change so it follows the groups when they are reordered.
+ *
+ * @param  {string}   containerId
+ * @param  {string}   path
+ * @param  {Function} callback
+ * @return {Function}
+ */
+export function subscribe( containerId, path, callback ) {
+	let previousValue = getValue( containerId, path );
+
+	return subscribeToStore( () => {
+		const value = getValue( containerId, path );
+
+		if ( isEqual( value, previousValue ) ) {
+			return;
+		}
+
+		const oldValue = previousValue;
+
+		previousValue = value;
+
+		callback( value, oldValue );
+	} );
+}
+
+export { getFieldIdByPath, getFieldPath };
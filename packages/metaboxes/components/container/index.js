@@ -3,9 +3,12 @@
  */
 import cx from 'classnames';
 import { Component } from '@wordpress/element';
+import { addAction, removeAction } from '@wordpress/hooks';
 import {
 	map,
 	find,
+	includes,
+	uniqueId,
 	kebabCase,
 	isPlainObject
 } from 'lodash';
@@ -13,13 +16,14 @@ import {
 /**
  * Carbon Fields dependencies.
  */
-import { getFieldType } from '@carbon-fields/core';
+import { FieldBoundary, resolveFieldType, getFallbackFieldType } from '@carbon-fields/core';
 
 /**
  * Internal dependencies.
  */
 import './style.scss';
 import Field from '../field';
+import RestSave from '../rest-save';
 
 class Container extends Component {
 	/**
@@ -31,6 +35,13 @@ class Container extends Component {
 		currentTab: null
 	};
 
+	/**
+	 * The namespace used to listen for hooks.
+	 *
+	 * @type {string}
+	 */
+	namespace = uniqueId( 'carbon-fields/metaboxes/container-' );
+
 	/**
 	 * Lifecycle hook.
 	 *
@@ -44,6 +55,17 @@ class Container extends Component {
 				currentTab: Object.keys( container.settings.tabs )[ 0 ]
 			} );
 		}
+
+		addAction( 'carbon-fields.reveal-field', this.namespace, this.handleRevealField );
+	}
+
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @return {void}
+	 */
+	componentWillUnmount() {
+		removeAction( 'carbon-fields.reveal-field', this.namespace );
 	}
 
 	/**
@@ -63,15 +85,17 @@ class Container extends Component {
 	 * @return {Object}
 	 */
 	renderField = ( field ) => {
-		const FieldEdit = getFieldType( field.type, 'metabox' );
-
-		if ( ! FieldEdit ) {
-			return null;
-		}
+		const FieldEdit = resolveFieldType( field.type, 'metabox' );
+		const FallbackEdit = getFallbackFieldType( 'metabox' );
 
 		return (
 			<Field key={ field.id } id={ field.id }>
-				<FieldEdit id={ field.id } containerId={ this.props.id } />
+				<FieldBoundary
+					field={ field }
+					fallback={ <FallbackEdit id={ field.id } containerId={ this.props.id } /> }
+				>
+					<FieldEdit id={ field.id } containerId={ this.props.id } />
+				</FieldBoundary>
 			</Field>
 		);
 	}
@@ -88,6 +112,20 @@ class Container extends Component {
 		} );
 	}
 
+	/**
+	 * Switches to the tab that holds the field which should be revealed.
+	 *
+	 * @param  {Object} payload
+	 * @param  {string} payload.containerId
+	 * @param  {string} payload.tab
+	 * @return {void}
+	 */
+	handleRevealField = ( { containerId, tab } ) => {
+		if ( containerId === this.props.id && tab ) {
+			this.handleTabClick( tab );
+		}
+	}
+
 	/**
 	 * Renders the component.
 	 *
@@ -95,7 +133,7 @@ class Container extends Component {
 	 */
 	render() {
 		const { currentTab } = this.state;
-		const { container } = this.props;
+		const { container, visible } = this.props;
 
 		const hasTabs = this.isTabbed( container );
 
@@ -109,13 +147,17 @@ class Container extends Component {
 			}
 		] );
 
+		// The fields of hidden containers stay mounted so their conditions
+		// and validation keep running, but their inputs aren't submitted.
 		return (
-			<div className={ classes }>
-				<input
-					type="hidden"
-					name={ container.nonce.name }
-					value={ container.nonce.value }
-				/>
+			<fieldset className={ classes } hidden={ ! visible } disabled={ ! visible }>
+				{ visible && (
+					<input
+						type="hidden"
+						name={ container.nonce.name }
+						value={ container.nonce.value }
+					/>
+				) }
 
 				{ hasTabs && (
 					<div className="cf-container__tabs">
@@ -162,7 +204,11 @@ class Container extends Component {
 						{ map( container.fields, this.renderField ) }
 					</div>
 				) }
-			</div>
+
+				{ container.settings.rest_save && ! includes( [ 'theme_options', 'network' ], container.type ) && (
+					<RestSave containerId={ container.id } />
+				) }
+			</fieldset>
 		);
 	}
 }
@@ -2,6 +2,7 @@
  * External dependencies.
  */
 import { compose } from '@wordpress/compose';
+import { withSelect, withDispatch } from '@wordpress/data';
 
 /**
  * Carbon Fields dependencies.
@@ -13,8 +14,18 @@ import { Field, withFilters } from '@carbon-fields/core';
  */
 import './style.scss';
 import withField from '../../hocs/with-field';
+import pruneStaleFields from '../../utils/prune-stale-fields';
 
 export default compose(
 	withField,
+	withSelect( ( select, props ) => ( {
+		modified: select( 'carbon-fields/metaboxes' ).isFieldDirty( props.id )
+	} ) ),
+	withDispatch( ( dispatch, props ) => ( {
+		onRevert: () => {
+			dispatch( 'carbon-fields/metaboxes' ).revertField( props.id );
+			pruneStaleFields();
+		}
+	} ) ),
 	withFilters( 'carbon-fields.field-wrapper.metabox' )
 )( Field );
@@ -0,0 +1,121 @@
+/**
+ * External dependencies.
+ */
+import { Component } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	isString,
+	truncate,
+	isUndefined
+} from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import './style.scss';
+
+/**
+ * Returns a short human readable representation of the value.
+ *
+ * @param  {mixed}  value
+ * @return {string}
+ */
+function formatValue( value ) {
+	if ( isUndefined( value ) || value === null || value === '' ) {
+		return '—';
+	}
+
+	return truncate( isString( value ) ? value : JSON.stringify( value ), {
+		length: 100
+	} );
+}
+
+class RecoveryPrompt extends Component {
+	/**
+	 * Local state.
+	 *
+	 * @type {Object}
+	 */
+	state = {
+		isOpen: true
+	};
+
+	/**
+	 * Handles the restoring of the values.
+	 *
+	 * @return {void}
+	 */
+	handleRestore = () => {
+		this.setState( { isOpen: false } );
+		this.props.onRestore();
+	}
+
+	/**
+	 * Handles the discarding of the values.
+	 *
+	 * @return {void}
+	 */
+	handleDiscard = () => {
+		this.setState( { isOpen: false } );
+		this.props.onDiscard();
+	}
+
+	/**
+	 * Render the component.
+	 *
+	 * @return {Object}
+	 */
+	render() {
+		const { time, entries } = this.props;
+
+		if ( ! this.state.isOpen ) {
+			return null;
+		}
+
+		return (
+			<div className="cf-recovery-prompt notice notice-warning">
+				<p className="cf-recovery-prompt__title">
+					{ sprintf( __( 'Unsaved changes from %s were found in your browser.', 'carbon-fields-ui' ), time ) }
+				</p>
+
+				<table className="cf-recovery-prompt__table widefat striped">
+					<thead>
+						<tr>
+							<th>{ __( 'Field', 'carbon-fields-ui' ) }</th>
+							<th>{ __( 'Saved value', 'carbon-fields-ui' ) }</th>
+							<th>{ __( 'Unsaved value', 'carbon-fields-ui' ) }</th>
+						</tr>
+					</thead>
+
+					<tbody>
+						{ entries.map( ( entry ) => (
+							<tr key={ entry.fieldId }>
+								<td>
+									<strong>{ entry.label }</strong>
+
+									<div className="cf-recovery-prompt__container">
+										{ entry.containerTitle }
+									</div>
+								</td>
+								<td>{ formatValue( entry.savedValue ) }</td>
+								<td>{ formatValue( entry.unsavedValue ) }</td>
+							</tr>
+						) ) }
+					</tbody>
+				</table>
+
+				<p className="cf-recovery-prompt__actions">
+					<button type="button" className="button button-primary" onClick={ this.handleRestore }>
+						{ __( 'Restore', 'carbon-fields-ui' ) }
+					</button>
+
+					<button type="button" className="button" onClick={ this.handleDiscard }>
+						{ __( 'Discard', 'carbon-fields-ui' ) }
+					</button>
+				</p>
+			</div>
+		);
+	}
+}
+
+export default RecoveryPrompt;
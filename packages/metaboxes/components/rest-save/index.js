@@ -0,0 +1,93 @@
+/**
+ * External dependencies.
+ */
+import cx from 'classnames';
+import { Component } from '@wordpress/element';
+import { withSelect } from '@wordpress/data';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies.
+ */
+import './style.scss';
+import saveContainer from '../../utils/save-container';
+import getCurrentObject from '../../utils/get-current-object';
+
+class RestSave extends Component {
+	/**
+	 * Local state.
+	 *
+	 * @type {Object}
+	 */
+	state = {
+		isSaving: false,
+		isError: false,
+		message: null
+	};
+
+	/**
+	 * Handles the click on the button.
+	 *
+	 * @return {void}
+	 */
+	handleClick = () => {
+		this.setState( {
+			isSaving: true,
+			message: null
+		} );
+
+		saveContainer( this.props.containerId )
+			.then( () => {
+				this.setState( {
+					isSaving: false,
+					isError: false,
+					message: __( 'Changes saved.', 'carbon-fields-ui' )
+				} );
+			} )
+			.catch( ( message ) => {
+				this.setState( {
+					isSaving: false,
+					isError: true,
+					message
+				} );
+			} );
+	}
+
+	/**
+	 * Render the component.
+	 *
+	 * @return {Object}
+	 */
+	render() {
+		const { isSavingLocked } = this.props;
+		const { isSaving, isError, message } = this.state;
+
+		// The objects that are being created don't exist yet.
+		if ( ! getCurrentObject() ) {
+			return null;
+		}
+
+		return (
+			<div className="cf-rest-save">
+				<button
+					type="button"
+					className="button"
+					disabled={ isSaving || isSavingLocked }
+					onClick={ this.handleClick }
+				>
+					{ isSaving ? __( 'Saving...', 'carbon-fields-ui' ) : __( 'Save changes', 'carbon-fields-ui' ) }
+				</button>
+
+				{ message && (
+					<span className={ cx( 'cf-rest-save__message', { 'cf-rest-save__message--error': isError } ) }>
+						{ message }
+					</span>
+				) }
+			</div>
+		);
+	}
+}
+
+export default withSelect( ( select ) => ( {
+	isSavingLocked: select( 'carbon-fields/metaboxes' ).isSavingLocked()
+} ) )( RestSave );
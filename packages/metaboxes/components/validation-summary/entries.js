@@ -0,0 +1,96 @@
+/**
+ * External dependencies.
+ */
+import { doAction } from '@wordpress/hooks';
+import { __ } from '@wordpress/i18n';
+import { map, findKey } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import focusField from '../../utils/focus-field';
+
+/**
+ * Reveals the field by switching tabs or expanding groups
+ * and then moves the focus to it.
+ *
+ * @param  {Object} entry
+ * @return {void}
+ */
+export function revealField( entry ) {
+	const { fieldId, containerId } = entry;
+	const postboxNode = document.getElementById( containerId );
+
+	if ( postboxNode ) {
+		postboxNode.classList.remove( 'closed' );
+	}
+
+	doAction( 'carbon-fields.reveal-field', {
+		fieldId,
+		containerId,
+		tab: entry.tab,
+		ancestors: entry.ancestors
+	} );
+
+	// Wait for the revealed field to be rendered.
+	setTimeout( () => focusField( fieldId ) );
+}
+
+/**
+ * Returns the invalid fields of the metaboxes.
+ *
+ * The errors of the untouched fields aren't displayed next to them,
+ * so the fields which hold a saving lock are listed too.
+ *
+ * @param  {Function} select
+ * @return {Object[]}
+ */
+export function getValidationEntries( select ) {
+	const { getValidationErrors, isFieldValidating } = select( 'carbon-fields/core' );
+	const {
+		getSavingLockNames,
+		getFieldById,
+		getFieldAncestors,
+		getContainerById
+	} = select( 'carbon-fields/metaboxes' );
+
+	const errors = getSavingLockNames().reduce( ( accumulator, lockName ) => {
+		if ( ! isFieldValidating( lockName ) ) {
+			accumulator[ lockName ] = __( 'The value is invalid.', 'carbon-fields-ui' );
+		}
+
+		return accumulator;
+	}, {} );
+
+	const entries = [];
+
+	map( { ...errors, ...getValidationErrors() }, ( error, fieldId ) => {
+		const field = getFieldById( fieldId );
+
+		// The validation map may contain errors of fields that don't
+		// belong to the metaboxes, e.g. blocks. The same goes for the locks.
+		if ( ! field ) {
+			return;
+		}
+
+		const container = getContainerById( field.container_id );
+		const ancestors = getFieldAncestors( fieldId );
+		const rootField = ancestors.length ? ancestors[ 0 ].field : field;
+		const path = ancestors.map( ( ancestor ) => `${ ancestor.field.label || ancestor.field.base_name } #${ ancestor.index + 1 }` );
+
+		entries.push( {
+			fieldId,
+			error,
+			containerId: container.id,
+			containerTitle: container.title,
+			tab: findKey( container.settings.tabs, ( fieldNames ) => fieldNames.indexOf( rootField.name ) > -1 ),
+			label: path.concat( field.label || field.base_name ).join( ' › ' ),
+			ancestors: ancestors.map( ( ancestor ) => ( {
+				fieldId: ancestor.field.id,
+				groupId: ancestor.group.id
+			} ) )
+		} );
+	} );
+
+	return entries;
+}
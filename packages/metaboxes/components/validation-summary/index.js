@@ -0,0 +1,79 @@
+/**
+ * External dependencies.
+ */
+import { withSelect } from '@wordpress/data';
+import { __ } from '@wordpress/i18n';
+import {
+	map,
+	groupBy,
+	castArray
+} from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import './style.scss';
+import { revealField, getValidationEntries } from './entries';
+
+/**
+ * Renders the list of invalid fields that prevent the saving.
+ *
+ * @param  {Object}   props
+ * @param  {boolean}  props.isSavingLocked
+ * @param  {Object[]} props.entries
+ * @return {mixed}
+ */
+function ValidationSummary( { isSavingLocked, entries } ) {
+	if ( ! isSavingLocked || ! entries.length ) {
+		return null;
+	}
+
+	return (
+		<div className="cf-validation-summary notice notice-error">
+			<p className="cf-validation-summary__title">
+				{ __( 'Please correct the following fields before saving:', 'carbon-fields-ui' ) }
+			</p>
+
+			{ map( groupBy( entries, 'containerId' ), ( containerEntries, containerId ) => (
+				<div className="cf-validation-summary__container" key={ containerId }>
+					<h4 className="cf-validation-summary__container-title">
+						{ containerEntries[ 0 ].containerTitle }
+					</h4>
+
+					{ map( groupBy( containerEntries, ( entry ) => entry.tab || '' ), ( tabEntries, tab ) => (
+						<div className="cf-validation-summary__tab" key={ tab }>
+							{ tab && (
+								<h5 className="cf-validation-summary__tab-title">
+									{ tab }
+								</h5>
+							) }
+
+							<ul className="cf-validation-summary__list">
+								{ tabEntries.map( ( entry ) => (
+									<li className="cf-validation-summary__item" key={ entry.fieldId }>
+										<button
+											type="button"
+											className="button-link cf-validation-summary__link"
+											onClick={ () => revealField( entry ) }
+										>
+											{ entry.label }
+										</button>
+
+										{ ' - ' }
+
+										{ castArray( entry.error ).join( ' ' ) }
+									</li>
+								) ) }
+							</ul>
+						</div>
+					) ) }
+				</div>
+			) ) }
+		</div>
+	);
+}
+
+export default withSelect( ( select ) => ( {
+	isSavingLocked: select( 'carbon-fields/metaboxes' ).isSavingLocked(),
+	entries: getValidationEntries( select )
+} ) )( ValidationSummary );
@@ -0,0 +1,93 @@
+/**
+ * External dependencies.
+ */
+import { Component } from '@wordpress/element';
+import { withSelect, dispatch } from '@wordpress/data';
+import { __ } from '@wordpress/i18n';
+import { isEqual, castArray } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import { revealField, getValidationEntries } from './entries';
+
+/**
+ * The id of the notice in the editor.
+ *
+ * @type {string}
+ */
+const NOTICE_ID = 'carbon-fields-validation';
+
+/**
+ * Lists the invalid fields that prevent the saving in the notices of the editor.
+ */
+class ValidationNotice extends Component {
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @return {void}
+	 */
+	componentDidMount() {
+		this.updateNotice();
+	}
+
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @param  {Object} prevProps
+	 * @return {void}
+	 */
+	componentDidUpdate( prevProps ) {
+		if ( this.props.isSavingLocked !== prevProps.isSavingLocked || ! isEqual( this.props.entries, prevProps.entries ) ) {
+			this.updateNotice();
+		}
+	}
+
+	/**
+	 * Lifecycle hook.
+	 *
+	 * @return {void}
+	 */
+	componentWillUnmount() {
+		dispatch( 'core/notices' ).removeNotice( NOTICE_ID );
+	}
+
+	/**
+	 * Creates, replaces or removes the notice.
+	 *
+	 * @return {void}
+	 */
+	updateNotice() {
+		const { isSavingLocked, entries } = this.props;
+		const { createErrorNotice, removeNotice } = dispatch( 'core/notices' );
+
+		if ( ! isSavingLocked || ! entries.length ) {
+			removeNotice( NOTICE_ID );
+
+			return;
+		}
+
+		createErrorNotice( __( 'Please correct the following fields before saving:', 'carbon-fields-ui' ), {
+			id: NOTICE_ID,
+			isDismissible: false,
+			actions: entries.map( ( entry ) => ( {
+				label: `${ entry.label } - ${ castArray( entry.error ).join( ' ' ) }`,
+				onClick: () => revealField( entry )
+			} ) )
+		} );
+	}
+
+	/**
+	 * Renders the component.
+	 *
+	 * @return {null}
+	 */
+	render() {
+		return null;
+	}
+}
+
+export default withSelect( ( select ) => ( {
+	isSavingLocked: select( 'carbon-fields/metaboxes' ).isSavingLocked(),
+	entries: getValidationEntries( select )
+} ) )( ValidationNotice );
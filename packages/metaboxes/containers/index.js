@@ -43,13 +43,7 @@ export function renderContainer( container, context ) {
 	const Component = getContainerType( container.type, context );
 
 	if ( node ) {
-		render(
-			<Component id={ container.id } />,
-			node,
-			() => {
-				node.dataset.mounted = true;
-			}
-		);
+		render( <Component id={ container.id } />, node );
 	} else {
 		// eslint-disable-next-line no-console
 		console.error( sprintf( __( 'Could not find DOM element for container "%1$s".', 'carbon-fields-ui' ), container.id ) );
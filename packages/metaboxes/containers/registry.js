@@ -5,7 +5,12 @@ import { createRegistry } from '@carbon-fields/core';
 
 export const {
 	registerContainerType,
-	getContainerType
+	unregisterContainerType,
+	replaceContainerType,
+	getContainerType,
+	getContainerTypes,
+	hasContainerType,
+	getContainerTypeMetadata
 } = createRegistry( 'container', [
 	'classic',
 	'gutenberg'
@@ -9,6 +9,7 @@ import { fromEvent, map, pipe } from 'callbag-basics';
  * Internal dependencies.
  */
 import './style.scss';
+import './rest-save';
 
 /**
  * The function that controls the stream of side effects.
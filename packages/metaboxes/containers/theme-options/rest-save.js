@@ -0,0 +1,81 @@
+/**
+ * External dependencies.
+ */
+import { addFilter } from '@wordpress/hooks';
+import { select } from '@wordpress/data';
+import { __ } from '@wordpress/i18n';
+import { withEffects } from 'refract-callbag';
+import { fromEvent } from 'callbag-basics';
+
+/**
+ * Internal dependencies.
+ */
+import saveContainer from '../../utils/save-container';
+
+/**
+ * Displays the outcome of the saving below the page's heading.
+ *
+ * @param  {string}  message
+ * @param  {boolean} isError
+ * @return {void}
+ */
+function showNotice( message, isError ) {
+	let node = document.querySelector( '.cf-rest-save-notice' );
+
+	if ( ! node ) {
+		const headingNode = document.querySelector( '#wpbody-content .wrap > h2' );
+
+		node = document.createElement( 'div' );
+		headingNode.parentNode.insertBefore( node, headingNode.nextSibling );
+	}
+
+	node.className = `cf-rest-save-notice notice ${ isError ? 'notice-error' : 'notice-success' }`;
+	node.innerHTML = '<p><strong></strong></p>';
+	node.querySelector( 'strong' ).textContent = message;
+}
+
+/**
+ * The function that controls the stream of side effects.
+ *
+ * @param  {Object} component
+ * @param  {Object} props
+ * @return {Object}
+ */
+function aperture( component, { id, container } ) {
+	const formNode = document.getElementById( id ).closest( 'form' );
+
+	if ( ! container.settings.rest_save || ! formNode ) {
+		return;
+	}
+
+	return fromEvent( formNode, 'submit' );
+}
+
+/**
+ * The function that causes the side effects.
+ *
+ * @param  {Object} props
+ * @return {Function}
+ */
+function handler( { id } ) {
+	return function( event ) {
+		event.preventDefault();
+
+		if ( select( 'carbon-fields/metaboxes' ).isSavingLocked() ) {
+			return;
+		}
+
+		const spinnerNode = document.querySelector( '#publishing-action .spinner' );
+
+		spinnerNode.classList.add( 'is-active' );
+
+		saveContainer( id )
+			.then( () => showNotice( __( 'Settings saved.', 'carbon-fields-ui' ), false ) )
+			.catch( ( message ) => showNotice( message, true ) )
+			.then( () => spinnerNode.classList.remove( 'is-active' ) );
+	};
+}
+
+[ 'theme_options', 'network' ].forEach( ( type ) => {
+	addFilter( `carbon-fields.${ type }.classic`, 'carbon-fields/metaboxes', withEffects( aperture, { handler } ) );
+} );
@@ -3,20 +3,21 @@
  */
 import produce from 'immer';
 import { Component } from '@wordpress/element';
-import { addFilter } from '@wordpress/hooks';
+import { addFilter, doAction } from '@wordpress/hooks';
 import { compose } from '@wordpress/compose';
 import { withDispatch, withSelect } from '@wordpress/data';
 import {
 	find,
 	assign,
 	without,
-	cloneDeep
+	cloneDeep,
+	isUndefined
 } from 'lodash';
 
 /**
  * Carbon Fields dependencies.
  */
-import { uniqueId } from '@carbon-fields/core';
+import { uniqueId, resolveFieldTypeMetadata } from '@carbon-fields/core';
 
 /**
  * Internal dependencies.
@@ -24,8 +25,48 @@ import { uniqueId } from '@carbon-fields/core';
 import './style.scss';
 import Field from '../../components/field';
 import flattenField from '../../utils/flatten-field';
+import exportFieldValue from '../../utils/export-field-value';
+import importFieldValue from '../../utils/import-field-value';
+import applyFieldValue from '../../utils/apply-field-value';
+import { getFieldPath } from '../../utils/field-path';
 
 class ComplexField extends Component {
+	/**
+	 * Returns the value of the field as it is reported to the integrations.
+	 *
+	 * @return {Object[]}
+	 */
+	getExportedValue() {
+		const { getFields, getFieldById } = this.props;
+
+		return exportFieldValue( getFieldById( this.props.id ), getFields() );
+	}
+
+	/**
+	 * Notifies the integrations about the change of the groups.
+	 * The added and removed groups are reported by the store.
+	 *
+	 * @param  {string}   action
+	 * @param  {Object}   group
+	 * @param  {number}   index
+	 * @param  {Object[]} oldValue
+	 * @return {void}
+	 */
+	emitGroupEvent( action, group, index, oldValue ) {
+		const field = this.props.getFieldById( this.props.id );
+
+		doAction( `carbon-fields.complex.${ action }`, {
+			context: 'metabox',
+			containerId: field.container_id,
+			field,
+			path: getFieldPath( field.id ),
+			group,
+			index,
+			oldValue,
+			newValue: this.getExportedValue()
+		} );
+	}
+
 	/**
 	 * Handles adding of group.
 	 *
@@ -51,7 +92,15 @@ class ComplexField extends Component {
 
 		group.id = uniqueId();
 		group.container_id = field.container_id;
-		group.fields = group.fields.map( ( groupField ) => flattenField( groupField, field.container_id, fields ) );
+		group.fields = group.fields.map( ( groupField ) => {
+			const defaultValue = resolveFieldTypeMetadata( groupField.type ).defaultValue( groupField );
+
+			return flattenField(
+				isUndefined( defaultValue ) ? groupField : { ...groupField, value: defaultValue },
+				field.container_id,
+				fields
+			);
+		} );
 
 		// Make sure that the group is expanded even
 		// `set_collapsed(true)` is used.
@@ -79,6 +128,7 @@ class ComplexField extends Component {
 			onChange
 		} = this.props;
 
+		const oldValue = this.getExportedValue();
 		const originFieldIds = group.fields.map( ( groupField ) => groupField.id );
 		const cloneFieldIds = originFieldIds.map( () => uniqueId() );
 		const clonedGroup = cloneDeep( group );
@@ -94,9 +144,87 @@ class ComplexField extends Component {
 			draft.splice( value.indexOf( group ) + 1, 0, clonedGroup );
 		} ) );
 
+		this.emitGroupEvent( 'group-cloned', clonedGroup, value.indexOf( group ) + 1, oldValue );
+
 		callback( clonedGroup );
 	}
 
+	/**
+	 * Handles copying of group.
+	 *
+	 * @param  {Object} group
+	 * @return {Object}
+	 */
+	handleCopyGroup = ( group ) => {
+		return exportFieldValue( {
+			type: 'complex',
+			value: [ group ]
+		}, this.props.getFields() )[ 0 ];
+	}
+
+	/**
+	 * Handles pasting of groups.
+	 *
+	 * @param  {Object[]} entries
+	 * @param  {number}   index
+	 * @param  {Function} callback
+	 * @return {void}
+	 */
+	handlePasteGroups = ( entries, index, callback ) => {
+		const {
+			id,
+			field,
+			value,
+			addFields,
+			onChange
+		} = this.props;
+
+		// The flattened field is pushed last, right after its descendants.
+		const fields = [];
+
+		flattenField( importFieldValue( field, entries ), field.container_id, fields );
+
+		const { value: groups } = fields.pop();
+
+		// Make sure that the groups are expanded even
+		// `set_collapsed(true)` is used.
+		groups.forEach( ( group ) => {
+			group.collapsed = false;
+		} );
+
+		addFields( fields );
+		onChange( id, produce( value, ( draft ) => {
+			draft.splice( index, 0, ...groups );
+		} ) );
+
+		callback( groups );
+	}
+
+	/**
+	 * Handles exporting of the value.
+	 *
+	 * @return {Object[]}
+	 */
+	handleExportValue = () => {
+		return this.getExportedValue();
+	}
+
+	/**
+	 * Handles importing of the value.
+	 * The existing groups are replaced by the imported ones.
+	 *
+	 * @param  {Object[]} value
+	 * @param  {Function} callback
+	 * @return {void}
+	 */
+	handleImportValue = ( value, callback ) => {
+		const { id, getFieldById } = this.props;
+
+		applyFieldValue( id, value );
+
+		callback( getFieldById( id ).value );
+	}
+
 	/**
 	 * Handles removing of group.
 	 *
@@ -209,6 +337,10 @@ class ComplexField extends Component {
 			handleGroupFieldSetup,
 			handleAddGroup,
 			handleCloneGroup,
+			handleCopyGroup,
+			handlePasteGroups,
+			handleExportValue,
+			handleImportValue,
 			handleRemoveGroup,
 			handleToggleGroup,
 			handleToggleAllGroups
@@ -224,6 +356,10 @@ class ComplexField extends Component {
 			handleGroupFieldSetup,
 			handleAddGroup,
 			handleCloneGroup,
+			handleCopyGroup,
+			handlePasteGroups,
+			handleExportValue,
+			handleImportValue,
 			handleRemoveGroup,
 			handleToggleGroup,
 			handleToggleAllGroups
@@ -232,7 +368,11 @@ class ComplexField extends Component {
 }
 
 const applyWithSelect = withSelect( ( select, props ) => {
-	const { getComplexGroupValues } = select( 'carbon-fields/metaboxes' );
+	const {
+		getFields,
+		getFieldById,
+		getComplexGroupValues
+	} = select( 'carbon-fields/metaboxes' );
 	const groupValues = props.value.map( ( group ) => {
 		const fieldIds = group.fields.map( ( field ) => field.id );
 
@@ -240,7 +380,11 @@ const applyWithSelect = withSelect( ( select, props ) => {
 	} );
 
 	return {
-		groupValues
+		groupValues,
+
+		// The selectors are used to report the changes of the groups.
+		getFields,
+		getFieldById
 	};
 } );
 
@@ -278,6 +422,10 @@ addFilter( 'carbon-fields.complex.metabox', 'carbon-fields/metaboxes', ( Origina
 				handleGroupFieldSetup,
 				handleAddGroup,
 				handleCloneGroup,
+				handleCopyGroup,
+				handlePasteGroups,
+				handleExportValue,
+				handleImportValue,
 				handleRemoveGroup,
 				handleToggleGroup,
 				handleToggleAllGroups
@@ -295,6 +443,10 @@ addFilter( 'carbon-fields.complex.metabox', 'carbon-fields/metaboxes', ( Origina
 					onGroupFieldSetup={ handleGroupFieldSetup }
 					onAddGroup={ handleAddGroup }
 					onCloneGroup={ handleCloneGroup }
+					onCopyGroup={ handleCopyGroup }
+					onPasteGroups={ handlePasteGroups }
+					onExportValue={ handleExportValue }
+					onImportValue={ handleImportValue }
 					onRemoveGroup={ handleRemoveGroup }
 					onToggleGroup={ handleToggleGroup }
 					onToggleAllGroups={ handleToggleAllGroups }
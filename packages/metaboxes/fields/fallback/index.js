@@ -0,0 +1,17 @@
+/**
+ * External dependencies.
+ */
+import { addFilter } from '@wordpress/hooks';
+import { withSelect } from '@wordpress/data';
+
+/**
+ * Internal dependencies.
+ */
+import exportFieldValue from '../../utils/export-field-value';
+
+/**
+ * The value is displayed without the ids of the fields in the store.
+ */
+addFilter( 'carbon-fields.fallback.metabox', 'carbon-fields/metaboxes', withSelect( ( select, { field } ) => ( {
+	value: exportFieldValue( field, select( 'carbon-fields/metaboxes' ).getFields() )
+} ) ) );
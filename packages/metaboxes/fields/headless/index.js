@@ -0,0 +1,25 @@
+/**
+ * External dependencies.
+ */
+import { addFilter } from '@wordpress/hooks';
+
+/**
+ * Carbon Fields dependencies.
+ */
+import { HiddenInputs } from '@carbon-fields/core';
+
+/**
+ * Internal dependencies.
+ */
+import getFieldInputValue from '../../utils/get-field-input-value';
+
+/**
+ * The fields without interface still have to submit their values
+ * together with the rest of the form.
+ */
+addFilter( 'carbon-fields.headless.metabox', 'carbon-fields/metaboxes', () => ( { name, field } ) => (
+	<HiddenInputs
+		name={ name }
+		value={ getFieldInputValue( field, {} ) }
+	/>
+) );
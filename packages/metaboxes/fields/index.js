@@ -3,7 +3,7 @@
  */
 import { compose } from '@wordpress/compose';
 import { addFilter } from '@wordpress/hooks';
-import { withDispatch } from '@wordpress/data';
+import { withDispatch, withSelect } from '@wordpress/data';
 
 /**
  * Carbon Fields dependencies.
@@ -23,18 +23,29 @@ import isGutenberg from '../utils/is-gutenberg';
 addFilter( 'carbon-fields.field-edit.metabox', 'carbon-fields/metaboxes', compose(
 	withField,
 	withConditionalLogic,
+	withSelect( ( select, props ) => ( {
+		// The fields of hidden containers stay mounted but are considered hidden too.
+		visible: props.visible && select( 'carbon-fields/metaboxes' ).isContainerVisible( props.containerId )
+	} ) ),
 	withDispatch( ( dispatch ) => {
+		const { lockSaving, unlockSaving } = dispatch( 'carbon-fields/metaboxes' );
+
 		if ( isGutenberg() ) {
 			const { lockPostSaving, unlockPostSaving } = dispatch( 'core/editor' );
 
+			// The locks are mirrored so the invalid fields can be listed.
 			return {
-				lockSaving: lockPostSaving,
-				unlockSaving: unlockPostSaving
+				lockSaving: ( lockName ) => {
+					lockPostSaving( lockName );
+					lockSaving( lockName );
+				},
+				unlockSaving: ( lockName ) => {
+					unlockPostSaving( lockName );
+					unlockSaving( lockName );
+				}
 			};
 		}
 
-		const { lockSaving, unlockSaving } = dispatch( 'carbon-fields/metaboxes' );
-
 		return {
 			lockSaving,
 			unlockSaving
@@ -46,7 +57,9 @@ addFilter( 'carbon-fields.field-edit.metabox', 'carbon-fields/metaboxes', compos
 import './association';
 import './complex';
 import './datetime';
+import './fallback';
 import './file';
+import './headless';
 import './image';
 import './multiselect';
 import './media-gallery';
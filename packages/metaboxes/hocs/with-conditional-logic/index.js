@@ -37,6 +37,34 @@ function getFieldsFromFieldsHolder( fieldsHolder, allFields, excludedIds = [] )
 	return pick( allFields, difference( map( fieldsHolder.fields, 'id' ), excludedIds ) );
 }
 
+/**
+ * Returns the value of the field. The values of complex fields
+ * are expanded to the same shape that is used by the blocks
+ * so the rules are evaluated identically in both contexts.
+ *
+ * @param  {Object} field
+ * @param  {Object} allFields
+ * @return {mixed}
+ */
+function getFieldValue( field, allFields ) {
+	if ( ! field || field.type !== 'complex' ) {
+		return get( field, 'value' );
+	}
+
+	return field.value.map( ( group ) => group.fields.reduce( ( accumulator, { id } ) => {
+		const groupField = allFields[ id ];
+
+		if ( groupField ) {
+			accumulator[ groupField.base_name ] = getFieldValue( groupField, allFields );
+		}
+
+		return accumulator;
+	}, {
+		_id: group.id,
+		_type: group.name
+	} ) );
+}
+
 /**
  * Adds the `parent.` parent prefix to field's name.
  *
@@ -156,7 +184,7 @@ function output( props, fields ) {
 
 	siblingFields = siblingFields.map( ( [ id, name ] ) => ( [
 		name,
-		get( fields, `${ id }.value` )
+		getFieldValue( fields[ id ], fields )
 	] ) );
 
 	return fromPairs( siblingFields );
@@ -13,10 +13,11 @@ import { createHigherOrderComponent } from '@wordpress/compose';
  */
 export default createHigherOrderComponent( ( Component ) => {
 	const applyWithSelect = withSelect( ( select, { id } ) => {
-		const container = select( 'carbon-fields/metaboxes' ).getContainerById( id );
+		const { getContainerById, isContainerVisible } = select( 'carbon-fields/metaboxes' );
 
 		return {
-			container
+			container: getContainerById( id ),
+			visible: isContainerVisible( id )
 		};
 	} );
 
@@ -16,7 +16,27 @@ import isGutenberg from './utils/is-gutenberg';
 /**
  * Public API.
  */
-export { registerContainerType, getContainerType } from './containers/registry';
+export {
+	registerContainerType,
+	unregisterContainerType,
+	replaceContainerType,
+	getContainerType,
+	getContainerTypes,
+	hasContainerType,
+	getContainerTypeMetadata
+} from './containers/registry';
+export {
+	registerContainerCondition,
+	getContainerCondition,
+	registerContainerConditionSource
+} from './monitors/conditional-display/registry';
+export {
+	getValue,
+	setValue,
+	subscribe,
+	getFieldIdByPath,
+	getFieldPath
+} from './api';
 
 /**
  * Sets the locale data for the package type
@@ -0,0 +1,63 @@
+/**
+ * External dependencies.
+ */
+import { withEffects } from 'refract-callbag';
+import { select } from '@wordpress/data';
+import { pipe, filter } from 'callbag-basics';
+import { debounce } from 'callbag-debounce';
+import { values } from 'lodash';
+
+/**
+ * Carbon Fields dependencies.
+ */
+import { fromSelector } from '@carbon-fields/core';
+
+/**
+ * Internal dependencies.
+ */
+import {
+	diffValues,
+	writeSnapshot,
+	getPristineValues,
+	getContainerValues
+} from '../../utils/autosave-snapshot';
+
+/**
+ * Stores the unsaved values in the browser so they
+ * can be recovered after a crash or an accidental reload.
+ *
+ * @return {null}
+ */
+function Autosave() {
+	return null;
+}
+
+/**
+ * The function that controls the stream of side effects.
+ *
+ * @return {Object}
+ */
+function aperture() {
+	const { getFields, isDirty } = select( 'carbon-fields/metaboxes' );
+
+	return pipe(
+		fromSelector( getFields ),
+		filter( () => isDirty() ),
+		debounce( 1000 )
+	);
+}
+
+/**
+ * The function that causes the side effects.
+ *
+ * @return {Function}
+ */
+function handler() {
+	return function( fields ) {
+		const containers = values( select( 'carbon-fields/metaboxes' ).getContainers() );
+
+		writeSnapshot( diffValues( getContainerValues( containers, fields ), getPristineValues() ) );
+	};
+}
+
+export default withEffects( aperture, { handler } )( Autosave );
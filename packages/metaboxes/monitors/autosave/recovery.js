@@ -0,0 +1,167 @@
+/**
+ * External dependencies.
+ */
+import { render } from '@wordpress/element';
+import { select, dispatch } from '@wordpress/data';
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	has,
+	forEach,
+	isEmpty
+} from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import RecoveryPrompt from '../../components/recovery-prompt';
+import applyFieldValue from '../../utils/apply-field-value';
+import exportFieldValue from '../../utils/export-field-value';
+import isGutenberg from '../../utils/is-gutenberg';
+import {
+	diffValues,
+	readSnapshot,
+	removeSnapshot,
+	getPristineValues
+} from '../../utils/autosave-snapshot';
+
+/**
+ * Returns the entries that describe the differences
+ * between the stored and the saved values.
+ *
+ * @param  {Object}   changes
+ * @return {Object[]}
+ */
+function getRecoveryEntries( changes ) {
+	const {
+		getFields,
+		getFieldById,
+		getContainerById
+	} = select( 'carbon-fields/metaboxes' );
+
+	const fields = getFields();
+	const entries = [];
+
+	forEach( changes, ( containerValues, containerId ) => {
+		const container = getContainerById( containerId );
+
+		if ( ! container ) {
+			return;
+		}
+
+		container.fields.forEach( ( { id } ) => {
+			const field = getFieldById( id );
+
+			if ( ! has( containerValues, field.base_name ) ) {
+				return;
+			}
+
+			entries.push( {
+				fieldId: id,
+				containerTitle: container.title,
+				label: field.label || field.base_name,
+				savedValue: exportFieldValue( field, fields ),
+				unsavedValue: containerValues[ field.base_name ]
+			} );
+		} );
+	} );
+
+	return entries;
+}
+
+/**
+ * Replaces the values of the fields with the stored ones.
+ *
+ * @param  {Object} changes
+ * @return {void}
+ */
+function restoreValues( changes ) {
+	const { getFieldById, getContainerById } = select( 'carbon-fields/metaboxes' );
+
+	forEach( changes, ( containerValues, containerId ) => {
+		const container = getContainerById( containerId );
+
+		if ( ! container ) {
+			return;
+		}
+
+		container.fields.forEach( ( { id } ) => {
+			const field = getFieldById( id );
+
+			if ( has( containerValues, field.base_name ) ) {
+				applyFieldValue( id, containerValues[ field.base_name ] );
+			}
+		} );
+	} );
+}
+
+/**
+ * Offers to restore the values that were stored
+ * by the autosave but never saved.
+ *
+ * @param  {Element} node
+ * @return {void}
+ */
+export default function initializeRecovery( node ) {
+	const snapshot = readSnapshot();
+
+	if ( ! snapshot ) {
+		return;
+	}
+
+	const changes = diffValues( snapshot.containers, getPristineValues() );
+	const entries = getRecoveryEntries( changes );
+
+	// The stored values have been saved in the meantime.
+	if ( isEmpty( entries ) ) {
+		removeSnapshot();
+
+		return;
+	}
+
+	const time = new Date( snapshot.time ).toLocaleString();
+
+	if ( isGutenberg() ) {
+		const { createWarningNotice, removeNotice } = dispatch( 'core/notices' );
+		const noticeId = 'carbon-fields-recovery';
+
+		createWarningNotice(
+			sprintf(
+				__( 'Unsaved changes of %1$s from %2$s were found in your browser.', 'carbon-fields-ui' ),
+				entries.map( ( entry ) => entry.label ).join( ', ' ),
+				time
+			),
+			{
+				id: noticeId,
+				isDismissible: false,
+				actions: [
+					{
+						label: __( 'Restore', 'carbon-fields-ui' ),
+						onClick: () => {
+							restoreValues( changes );
+							removeNotice( noticeId );
+						}
+					},
+					{
+						label: __( 'Discard', 'carbon-fields-ui' ),
+						onClick: () => {
+							removeSnapshot();
+							removeNotice( noticeId );
+						}
+					}
+				]
+			}
+		);
+
+		return;
+	}
+
+	render(
+		<RecoveryPrompt
+			time={ time }
+			entries={ entries }
+			onRestore={ () => restoreValues( changes ) }
+			onDiscard={ removeSnapshot }
+		/>,
+		node
+	);
+}
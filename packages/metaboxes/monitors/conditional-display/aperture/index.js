@@ -19,6 +19,10 @@ import './post-template';
 import './post-term';
 import './term-parent';
 import './user-role';
+import './post-status';
+import './post-author';
+import './post-sticky';
+import { getContainerConditionSources } from '../registry';
 
 /**
  * The function that controls the stream of side effects.
@@ -29,22 +33,12 @@ import './user-role';
  */
 // eslint-disable-next-line no-unused-vars
 export default function aperture( component, { context } ) {
-	const postParent$ = applyFilters( `carbon-fields.conditional-display-post-parent.${ context }` );
-	const postFormat$ = applyFilters( `carbon-fields.conditional-display-post-format.${ context }` );
-	const postTemplate$ = applyFilters( `carbon-fields.conditional-display-post-template.${ context }` );
-	const postTerm$ = applyFilters( `carbon-fields.conditional-display-post-term.${ context }` );
-	const termParent$ = applyFilters( `carbon-fields.conditional-display-term-parent.${ context }` );
-	const userRole$ = applyFilters( `carbon-fields.conditional-display-user-role.${ context }` );
+	const sources = getContainerConditionSources( context ).map( ( name ) => {
+		return applyFilters( `carbon-fields.conditional-display-${ name }.${ context }` );
+	} );
 
 	return pipe(
-		merge(
-			postParent$,
-			postFormat$,
-			postTemplate$,
-			postTerm$,
-			termParent$,
-			userRole$
-		),
+		merge( ...sources ),
 		scan( ( previous, current ) => produce( previous, ( draft ) => {
 			assign( draft, current );
 		} ) )
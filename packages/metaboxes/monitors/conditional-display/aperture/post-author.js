@@ -0,0 +1,79 @@
+/**
+ * External dependencies.
+ */
+import of from 'callbag-of';
+import startWith from 'callbag-start-with';
+import distinctUntilChanged from 'callbag-distinct-until-changed';
+import { select } from '@wordpress/data';
+import {
+	pipe,
+	map,
+	filter,
+	fromEvent
+} from 'callbag-basics';
+
+/**
+ * Carbon Fields dependencies.
+ */
+import { fromSelector } from '@carbon-fields/core';
+
+/**
+ * Internal dependencies.
+ */
+import { registerContainerConditionSource } from '../registry';
+
+/**
+ * The default state.
+ *
+ * @type {Object}
+ */
+const INITIAL_STATE = {
+	post_author: 0
+};
+
+/**
+ * Extracts `post_author` from the input.
+ *
+ * @param  {Object} node
+ * @return {Object}
+ */
+function getPostAuthorFromInput( node ) {
+	return {
+		post_author: parseInt( node.value, 10 ) || 0
+	};
+}
+
+/**
+ * Defines the side effects for Classic Editor.
+ */
+registerContainerConditionSource( 'post-author', 'classic', () => {
+	const node = document.querySelector( 'select#post_author_override' );
+
+	// The select is rendered only when the user can change the author.
+	if ( ! node ) {
+		const inputNode = document.querySelector( 'input#post_author' );
+
+		return of( inputNode ? getPostAuthorFromInput( inputNode ) : INITIAL_STATE );
+	}
+
+	return pipe(
+		fromEvent( node, 'change' ),
+		map( ( { target } ) => getPostAuthorFromInput( target ) ),
+		startWith( getPostAuthorFromInput( node ) )
+	);
+} );
+
+/**
+ * Defines the side effects for Gutenberg.
+ */
+registerContainerConditionSource( 'post-author', 'gutenberg', () => {
+	return pipe(
+		fromSelector( select( 'core/editor' ).getEditedPostAttribute, 'author' ),
+		distinctUntilChanged(),
+		filter( Boolean ),
+		map( ( postAuthor ) => ( {
+			post_author: postAuthor
+		} ) ),
+		startWith( INITIAL_STATE )
+	);
+} );
@@ -5,7 +5,6 @@ import of from 'callbag-of';
 import startWith from 'callbag-start-with';
 import fromDelegatedEvent from 'callbag-from-delegated-event';
 import distinctUntilChanged from 'callbag-distinct-until-changed';
-import { addFilter } from '@wordpress/hooks';
 import { select } from '@wordpress/data';
 import {
 	pipe,
@@ -18,6 +17,11 @@ import {
  */
 import { fromSelector } from '@carbon-fields/core';
 
+/**
+ * Internal dependencies.
+ */
+import { registerContainerConditionSource } from '../registry';
+
 /**
  * The default state.
  *
@@ -49,7 +53,7 @@ function getPostFormatFromRadioInput( input ) {
 /**
  * Defines the side effects for Classic Editor.
  */
-addFilter( 'carbon-fields.conditional-display-post-format.classic', 'carbon-fields/metaboxes', () => {
+registerContainerConditionSource( 'post-format', 'classic', () => {
 	const node = document.querySelector( 'div#post-formats-select' );
 
 	if ( ! node ) {
@@ -66,7 +70,7 @@ addFilter( 'carbon-fields.conditional-display-post-format.classic', 'carbon-fiel
 /**
  * Defines the side effects for Gutenberg.
  */
-addFilter( 'carbon-fields.conditional-display-post-format.gutenberg', 'carbon-fields/metaboxes', ( ) => {
+registerContainerConditionSource( 'post-format', 'gutenberg', () => {
 	return pipe(
 		fromSelector( select( 'core/editor' ).getEditedPostAttribute, 'format' ),
 		distinctUntilChanged(),
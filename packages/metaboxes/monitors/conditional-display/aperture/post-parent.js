@@ -4,7 +4,6 @@
 import of from 'callbag-of';
 import startWith from 'callbag-start-with';
 import distinctUntilChanged from 'callbag-distinct-until-changed';
-import { addFilter } from '@wordpress/hooks';
 import { select } from '@wordpress/data';
 import {
 	get,
@@ -26,6 +25,7 @@ import { fromSelector } from '@carbon-fields/core';
 /**
  * Internal dependencies.
  */
+import { registerContainerConditionSource } from '../registry';
 import getParentIdFromOption from '../utils/get-parent-id-from-option';
 import getLevelFromOption from '../utils/get-level-from-option';
 import getAncestorsFromOption from '../utils/get-ancestors-from-option';
@@ -87,7 +87,7 @@ function getAncestorsFromPostsList( parentId, posts, ancestors = [] ) {
 /**
  * Defines the side effects for Classic Editor.
  */
-addFilter( 'carbon-fields.conditional-display-post-parent.classic', 'carbon-fields/metaboxes', ( ) => {
+registerContainerConditionSource( 'post-parent', 'classic', () => {
 	const node = document.querySelector( 'select#parent_id' );
 
 	if ( ! node ) {
@@ -104,7 +104,7 @@ addFilter( 'carbon-fields.conditional-display-post-parent.classic', 'carbon-fiel
 /**
  * Defines the side effects for Gutenberg.
  */
-addFilter( 'carbon-fields.conditional-display-post-parent.gutenberg', 'carbon-fields/metaboxes', ( ) => {
+registerContainerConditionSource( 'post-parent', 'gutenberg', () => {
 	const { getPostType, getEntityRecords } = select( 'core' );
 
 	return pipe(
@@ -0,0 +1,89 @@
+/**
+ * External dependencies.
+ */
+import of from 'callbag-of';
+import startWith from 'callbag-start-with';
+import fromDelegatedEvent from 'callbag-from-delegated-event';
+import distinctUntilChanged from 'callbag-distinct-until-changed';
+import { select } from '@wordpress/data';
+import { isString } from 'lodash';
+import {
+	pipe,
+	map,
+	merge,
+	filter,
+	fromEvent
+} from 'callbag-basics';
+
+/**
+ * Carbon Fields dependencies.
+ */
+import { fromSelector } from '@carbon-fields/core';
+
+/**
+ * Internal dependencies.
+ */
+import { registerContainerConditionSource } from '../registry';
+
+/**
+ * The default state.
+ *
+ * @type {Object}
+ */
+const INITIAL_STATE = {
+	post_status: 'draft'
+};
+
+/**
+ * Returns the state for the given status.
+ *
+ * @param  {string} status
+ * @return {Object}
+ */
+function getPostStatus( status ) {
+	// New posts are saved as drafts.
+	if ( status === 'auto-draft' ) {
+		status = 'draft';
+	}
+
+	return {
+		post_status: status
+	};
+}
+
+/**
+ * Defines the side effects for Classic Editor.
+ */
+registerContainerConditionSource( 'post-status', 'classic', () => {
+	const node = document.querySelector( 'select#post_status' );
+	const editNode = document.querySelector( 'div#post-status-select' );
+
+	if ( ! node ) {
+		return of( INITIAL_STATE );
+	}
+
+	// The "Cancel" button restores the status without firing a `change` event.
+	return pipe(
+		merge(
+			fromEvent( node, 'change' ),
+			editNode
+				? fromDelegatedEvent( editNode, '.save-post-status, .cancel-post-status', 'click' )
+				: of()
+		),
+		map( () => getPostStatus( node.value ) ),
+		startWith( getPostStatus( node.value ) )
+	);
+} );
+
+/**
+ * Defines the side effects for Gutenberg.
+ */
+registerContainerConditionSource( 'post-status', 'gutenberg', () => {
+	return pipe(
+		fromSelector( select( 'core/editor' ).getEditedPostAttribute, 'status' ),
+		distinctUntilChanged(),
+		filter( isString ),
+		map( getPostStatus ),
+		startWith( INITIAL_STATE )
+	);
+} );
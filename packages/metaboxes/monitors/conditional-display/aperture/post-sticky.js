@@ -0,0 +1,84 @@
+/**
+ * External dependencies.
+ */
+import of from 'callbag-of';
+import startWith from 'callbag-start-with';
+import fromDelegatedEvent from 'callbag-from-delegated-event';
+import distinctUntilChanged from 'callbag-distinct-until-changed';
+import { select } from '@wordpress/data';
+import {
+	pipe,
+	map,
+	merge,
+	fromEvent
+} from 'callbag-basics';
+
+/**
+ * Carbon Fields dependencies.
+ */
+import { fromSelector } from '@carbon-fields/core';
+
+/**
+ * Internal dependencies.
+ */
+import { registerContainerConditionSource } from '../registry';
+
+/**
+ * The default state.
+ *
+ * @type {Object}
+ */
+const INITIAL_STATE = {
+	post_sticky: false
+};
+
+/**
+ * Extracts `post_sticky` from the checkbox.
+ *
+ * @param  {Object} node
+ * @return {Object}
+ */
+function getPostStickyFromCheckbox( node ) {
+	return {
+		post_sticky: node.checked
+	};
+}
+
+/**
+ * Defines the side effects for Classic Editor.
+ */
+registerContainerConditionSource( 'post-sticky', 'classic', () => {
+	const node = document.querySelector( 'input#sticky' );
+	const editNode = document.querySelector( 'div#post-visibility-select' );
+
+	if ( ! node ) {
+		return of( INITIAL_STATE );
+	}
+
+	// Changing the visibility and the "Cancel" button update
+	// the checkbox without firing a `change` event.
+	return pipe(
+		merge(
+			fromEvent( node, 'change' ),
+			editNode
+				? fromDelegatedEvent( editNode, '.save-post-visibility, .cancel-post-visibility', 'click' )
+				: of()
+		),
+		map( () => getPostStickyFromCheckbox( node ) ),
+		startWith( getPostStickyFromCheckbox( node ) )
+	);
+} );
+
+/**
+ * Defines the side effects for Gutenberg.
+ */
+registerContainerConditionSource( 'post-sticky', 'gutenberg', () => {
+	return pipe(
+		fromSelector( select( 'core/editor' ).getEditedPostAttribute, 'sticky' ),
+		distinctUntilChanged(),
+		map( ( postSticky ) => ( {
+			post_sticky: !! postSticky
+		} ) ),
+		startWith( INITIAL_STATE )
+	);
+} );
@@ -4,7 +4,6 @@
 import of from 'callbag-of';
 import startWith from 'callbag-start-with';
 import distinctUntilChanged from 'callbag-distinct-until-changed';
-import { addFilter } from '@wordpress/hooks';
 import { select } from '@wordpress/data';
 import { isString } from 'lodash';
 import {
@@ -19,6 +18,11 @@ import {
  */
 import { fromSelector } from '@carbon-fields/core';
 
+/**
+ * Internal dependencies.
+ */
+import { registerContainerConditionSource } from '../registry';
+
 /**
  * The default state.
  *
@@ -50,7 +54,7 @@ function getPostTemplateFromSelect( node ) {
 /**
  * Defines the side effects for Classic Editor.
  */
-addFilter( 'carbon-fields.conditional-display-post-template.classic', 'carbon-fields/metaboxes', () => {
+registerContainerConditionSource( 'post-template', 'classic', () => {
 	const node = document.querySelector( 'select#page_template' );
 
 	if ( ! node ) {
@@ -67,7 +71,7 @@ addFilter( 'carbon-fields.conditional-display-post-template.classic', 'carbon-fi
 /**
  * Defines the side effects for Gutenberg.
  */
-addFilter( 'carbon-fields.conditional-display-post-template.gutenberg', 'carbon-fields/metaboxes', () => {
+registerContainerConditionSource( 'post-template', 'gutenberg', () => {
 	return pipe(
 		fromSelector( select( 'core/editor' ).getEditedPostAttribute, 'template' ),
 		distinctUntilChanged(),
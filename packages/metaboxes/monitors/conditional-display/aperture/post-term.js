@@ -12,7 +12,6 @@ import {
 	filter,
 	fromEvent
 } from 'callbag-basics';
-import { addFilter } from '@wordpress/hooks';
 import { select } from '@wordpress/data';
 import { pull, fromPairs } from 'lodash';
 
@@ -21,6 +20,11 @@ import { pull, fromPairs } from 'lodash';
  */
 import { fromSelector } from '@carbon-fields/core';
 
+/**
+ * Internal dependencies.
+ */
+import { registerContainerConditionSource } from '../registry';
+
 /**
  * Applies a monkey patch to the specified method of `window.tagBox` API
  * so we can detect changes of the non-hierarchical taxonomies.
@@ -146,7 +150,7 @@ function trackNonHierarchicalTaxonomies() {
 /**
  * Defines the side effects for Classic Editor.
  */
-addFilter( 'carbon-fields.conditional-display-post-term.classic', 'carbon-fields/metaboxes', () => {
+registerContainerConditionSource( 'post-term', 'classic', () => {
 	return pipe(
 		merge(
 			...trackHierarchicalTaxonomies(),
@@ -168,7 +172,7 @@ addFilter( 'carbon-fields.conditional-display-post-term.classic', 'carbon-fields
 /**
  * Defines the side effects for Gutenberg.
  */
-addFilter( 'carbon-fields.conditional-display-post-term.gutenberg', 'carbon-fields/metaboxes', () => {
+registerContainerConditionSource( 'post-term', 'gutenberg', () => {
 	const { getTaxonomies } = select( 'core' );
 	const { getEditedPostAttribute } = select( 'core/editor' );
 
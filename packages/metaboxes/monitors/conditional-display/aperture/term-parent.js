@@ -3,7 +3,6 @@
  */
 import of from 'callbag-of';
 import startWith from 'callbag-start-with';
-import { addFilter } from '@wordpress/hooks';
 import {
 	pipe,
 	map,
@@ -13,6 +12,7 @@ import {
 /**
  * Internal dependencies.
  */
+import { registerContainerConditionSource } from '../registry';
 import getParentIdFromOption from '../utils/get-parent-id-from-option';
 import getLevelFromOption from '../utils/get-level-from-option';
 import getAncestorsFromOption from '../utils/get-ancestors-from-option';
@@ -50,7 +50,7 @@ function getParentIdAncestorsAndLevelFromSelect( node ) {
 /**
  * Defines the side effects for Classic Editor.
  */
-addFilter( 'carbon-fields.conditional-display-term-parent.classic', 'carbon-fields/metaboxes', ( ) => {
+registerContainerConditionSource( 'term-parent', 'classic', () => {
 	const node = document.querySelector( 'select#parent' );
 
 	if ( ! node ) {
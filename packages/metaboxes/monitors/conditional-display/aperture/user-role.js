@@ -3,13 +3,17 @@
  */
 import of from 'callbag-of';
 import startWith from 'callbag-start-with';
-import { addFilter } from '@wordpress/hooks';
 import {
 	pipe,
 	map,
 	fromEvent
 } from 'callbag-basics';
 
+/**
+ * Internal dependencies.
+ */
+import { registerContainerConditionSource } from '../registry';
+
 /**
  * The default state.
  *
@@ -34,7 +38,7 @@ function getRoleFromSelect( node ) {
 /**
  * Defines the side effects for Classic Editor.
  */
-addFilter( 'carbon-fields.conditional-display-user-role.classic', 'carbon-fields/metaboxes', ( ) => {
+registerContainerConditionSource( 'user-role', 'classic', () => {
 	const node = document.querySelector( 'select#role' );
 
 	if ( ! node ) {
@@ -2,25 +2,18 @@
  * External dependencies.
  */
 import { __, sprintf } from '@wordpress/i18n';
-import { find } from 'lodash';
-
-/**
- * Internal dependencies.
- */
-import equality from '../comparers/equality';
-import contain from '../comparers/contain';
-import scalar from '../comparers/scalar';
+import { findComparer } from '@carbon-fields/core';
 
 export default {
 	/**
-	 * The supported comparers.
+	 * The names of the supported comparers.
 	 *
-	 * @type {Function[]}
+	 * @type {string[]}
 	 */
 	comparers: [
-		equality,
-		contain,
-		scalar
+		'equality',
+		'strict-contain',
+		'scalar'
 	],
 
 	/**
@@ -45,7 +38,7 @@ export default {
 	 * @return {boolean}
 	 */
 	firstComparerIsCorrect( a, operator, b ) {
-		const comparer = find( this.comparers, ( item ) => item.isOperatorSupported( operator ) );
+		const comparer = findComparer( operator, this.comparers );
 
 		if ( ! comparer ) {
 			// eslint-disable-next-line no-console
@@ -0,0 +1,25 @@
+/**
+ * Internal dependencies.
+ */
+import { registerContainerCondition } from '../registry';
+import boolean from './boolean';
+import postTerm from './post-term';
+import postTemplate from './post-template';
+import postAncestorId from './post-ancestor-id';
+import termParentId from './term-parent-id';
+import termAncestorId from './term-ancestor-id';
+
+registerContainerCondition( 'boolean', boolean );
+registerContainerCondition( 'post_term', postTerm );
+registerContainerCondition( 'post_ancestor_id', postAncestorId );
+registerContainerCondition( 'post_parent_id' );
+registerContainerCondition( 'post_level' );
+registerContainerCondition( 'post_format' );
+registerContainerCondition( 'post_template', postTemplate );
+registerContainerCondition( 'post_status' );
+registerContainerCondition( 'post_author' );
+registerContainerCondition( 'post_sticky' );
+registerContainerCondition( 'term_level' );
+registerContainerCondition( 'term_parent', termParentId );
+registerContainerCondition( 'term_ancestor', termAncestorId );
+registerContainerCondition( 'user_role' );
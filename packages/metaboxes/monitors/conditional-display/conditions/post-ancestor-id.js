@@ -6,8 +6,6 @@ import { get } from 'lodash';
 /**
  * Internal dependencies.
  */
-import anyEquality from '../comparers/any-equality';
-import anyContain from '../comparers/any-contain';
 import base from './base';
 
 export default {
@@ -17,8 +15,8 @@ export default {
 	 * @inheritdoc
 	 */
 	comparers: [
-		anyEquality,
-		anyContain
+		'any-equality',
+		'any-contain'
 	],
 
 	/**
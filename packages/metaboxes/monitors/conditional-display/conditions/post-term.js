@@ -6,7 +6,6 @@ import { get, isArray } from 'lodash';
 /**
  * Internal dependencies.
  */
-import anyEquality from '../comparers/any-equality';
 import base from './base';
 
 export default {
@@ -16,7 +15,7 @@ export default {
 	 * @inheritdoc
 	 */
 	comparers: [
-		anyEquality
+		'any-equality'
 	],
 
 	/**
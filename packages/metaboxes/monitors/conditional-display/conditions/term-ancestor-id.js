@@ -10,8 +10,6 @@ import {
 /**
  * Internal dependencies.
  */
-import anyEquality from '../comparers/any-equality';
-import anyContain from '../comparers/any-contain';
 import base from './base';
 
 export default {
@@ -21,8 +19,8 @@ export default {
 	 * @inheritdoc
 	 */
 	comparers: [
-		anyEquality,
-		anyContain
+		'any-equality',
+		'any-contain'
 	],
 
 	/**
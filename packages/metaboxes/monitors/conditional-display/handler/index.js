@@ -2,38 +2,12 @@
  * External dependencies.
  */
 import { __, sprintf } from '@wordpress/i18n';
-import { get, map } from 'lodash';
+import { map } from 'lodash';
 
 /**
  * Internal dependencies.
  */
-import { renderContainer } from '../../../containers';
-import base from '../conditions/base';
-import boolean from '../conditions/boolean';
-import postTerm from '../conditions/post-term';
-import postTemplate from '../conditions/post-template';
-import postAncestorId from '../conditions/post-ancestor-id';
-import termParentId from '../conditions/term-parent-id';
-import termAncestorId from '../conditions/term-ancestor-id';
-
-/**
- * Keeps track of supported conditions.
- *
- * @type {Object}
- */
-const conditions = {
-	boolean,
-	post_term: postTerm,
-	post_ancestor_id: postAncestorId,
-	post_parent_id: base,
-	post_level: base,
-	post_format: base,
-	post_template: postTemplate,
-	term_level: base,
-	term_parent: termParentId,
-	term_ancestor: termAncestorId,
-	user_role: base
-};
+import { getContainerCondition } from '../registry';
 
 /**
  * Walks through the definitions and evaluates the conditions.
@@ -46,7 +20,7 @@ const conditions = {
 function evaluate( definitions, values, relation ) {
 	const results = definitions.map( ( definition ) => {
 		if ( ! definition.relation ) {
-			const condition = get( conditions, definition.type );
+			const condition = getContainerCondition( definition.type );
 
 			if ( condition ) {
 				return condition.isFulfiled( definition, values );
@@ -79,12 +53,13 @@ function evaluate( definitions, values, relation ) {
 /**
  * The function that causes the side effects.
  *
- * @param  {Object} props
- * @param  {Object} props.containers
- * @param  {string} props.context
+ * @param  {Object}   props
+ * @param  {Object}   props.containers
+ * @param  {Function} props.showContainer
+ * @param  {Function} props.hideContainer
  * @return {Function}
  */
-export default function handler( { containers, context } ) {
+export default function handler( { containers, showContainer, hideContainer } ) {
 	return function( effect ) {
 		const results = map( containers, ( container, id ) => {
 			return [
@@ -95,27 +70,15 @@ export default function handler( { containers, context } ) {
 
 		results.forEach( ( [ id, result ] ) => {
 			const postboxNode = document.getElementById( id );
-			const containerNode = document.querySelector( `.container-${ id }` );
-			const isMounted = !! containerNode.dataset.mounted;
 
 			if ( postboxNode ) {
 				postboxNode.hidden = ! result;
 			}
 
-			if ( containerNode ) {
-				if ( result && ! isMounted ) {
-					renderContainer( containers[ id ], context );
-				}
-
-				if ( ! result && isMounted ) {
-					delete containerNode.dataset.mounted;
-
-					// Rely on React's internals instead of `unmountComponentAtNode`
-					// due to https://github.com/facebook/react/issues/13690.
-					// TODO: Conditionally render the fields in the container, this way
-					// we can move away from mount/unmount cycles.
-					containerNode._reactRootContainer.unmount();
-				}
+			if ( result ) {
+				showContainer( id );
+			} else {
+				hideContainer( id );
 			}
 		} );
 	};
@@ -2,12 +2,13 @@
  * External dependencies.
  */
 import { compose } from '@wordpress/compose';
-import { withSelect } from '@wordpress/data';
+import { withSelect, withDispatch } from '@wordpress/data';
 import { withEffects } from 'refract-callbag';
 
 /**
  * Internal dependencies.
  */
+import './conditions';
 import aperture from './aperture';
 import handler from './handler';
 
@@ -28,9 +29,19 @@ const applyWithSelect = withSelect( ( select ) => {
 	};
 } );
 
+const applyWithDispatch = withDispatch( ( dispatch ) => {
+	const { showContainer, hideContainer } = dispatch( 'carbon-fields/metaboxes' );
+
+	return {
+		showContainer,
+		hideContainer
+	};
+} );
+
 const applyWitEffects = withEffects( aperture, { handler } );
 
 export default compose(
 	applyWithSelect,
+	applyWithDispatch,
 	applyWitEffects
 )( ConditionalDisplay );
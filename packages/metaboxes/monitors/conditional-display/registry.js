@@ -0,0 +1,141 @@
+/* eslint no-console: [ 'error', { allow: [ 'error' ] } ] */
+
+/**
+ * External dependencies.
+ */
+import { addFilter } from '@wordpress/hooks';
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	get,
+	keys,
+	filter,
+	isString,
+	isFunction,
+	isPlainObject
+} from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import base from './conditions/base';
+
+/**
+ * The contexts in which the containers can be rendered.
+ *
+ * @type {string[]}
+ */
+const CONTEXTS = [ 'classic', 'gutenberg' ];
+
+/**
+ * Keeps track of registered conditions.
+ *
+ * @type {Object}
+ */
+const conditions = {};
+
+/**
+ * Keeps track of registered sources of environment values.
+ *
+ * @type {Object}
+ */
+const sources = {};
+
+/**
+ * Registers a new container condition.
+ * The condition extends the base one so only the
+ * overridden methods need to be provided.
+ *
+ * @param  {string} type
+ * @param  {Object} condition
+ * @return {boolean}
+ */
+export function registerContainerCondition( type, condition = {} ) {
+	if ( ! isString( type ) ) {
+		console.error( __( 'Container condition type must be a string.', 'carbon-fields-ui' ) );
+		return false;
+	}
+
+	if ( conditions[ type ] ) {
+		console.error( sprintf( __( 'Container condition %s is already registered.', 'carbon-fields-ui' ), type ) );
+		return false;
+	}
+
+	if ( ! isPlainObject( condition ) ) {
+		console.error( __( 'The "condition" param must be an object.', 'carbon-fields-ui' ) );
+		return false;
+	}
+
+	conditions[ type ] = {
+		...base,
+		...condition
+	};
+
+	return true;
+}
+
+/**
+ * Returns a registered container condition.
+ *
+ * @param  {string} type
+ * @return {?Object}
+ */
+export function getContainerCondition( type ) {
+	return conditions[ type ];
+}
+
+/**
+ * Registers a source of environment values used by the container conditions.
+ * The factory must return a callbag source that emits objects with
+ * the values, e.g. `{ post_status: 'draft' }`.
+ *
+ * @param  {string}   name
+ * @param  {string}   context
+ * @param  {Function} factory
+ * @return {boolean}
+ */
+export function registerContainerConditionSource( name, context, factory ) {
+	if ( ! isString( name ) ) {
+		console.error( __( 'Container condition source name must be a string.', 'carbon-fields-ui' ) );
+		return false;
+	}
+
+	if ( CONTEXTS.indexOf( context ) === -1 ) {
+		console.error(
+			sprintf(
+				__( 'The provided context isn\'t a valid one. Must be one of - %s .', 'carbon-fields-ui' ),
+				CONTEXTS.join( ', ' )
+			)
+		);
+		return false;
+	}
+
+	if ( get( sources, [ name, context ] ) ) {
+		console.error( sprintf( __( 'Container condition source %1$s is already registered for %2$s.', 'carbon-fields-ui' ), name, context ) );
+		return false;
+	}
+
+	if ( ! isFunction( factory ) ) {
+		console.error( __( 'The "factory" param must be a function.', 'carbon-fields-ui' ) );
+		return false;
+	}
+
+	sources[ name ] = {
+		...sources[ name ],
+		[ context ]: factory
+	};
+
+	// Keep the source replaceable through the hooks.
+	addFilter( `carbon-fields.conditional-display-${ name }.${ context }`, 'carbon-fields/metaboxes', factory );
+
+	return true;
+}
+
+/**
+ * Returns the names of the sources available in the given context.
+ *
+ * @param  {string} context
+ * @return {string[]}
+ */
+export function getContainerConditionSources( context ) {
+	return filter( keys( sources ), ( name ) => !! sources[ name ][ context ] );
+}
@@ -0,0 +1,120 @@
+/**
+ * External dependencies.
+ */
+import { withEffects } from 'refract-callbag';
+import { withDispatch } from '@wordpress/data';
+import { compose } from '@wordpress/compose';
+import {
+	pipe,
+	map,
+	filter,
+	fromEvent
+} from 'callbag-basics';
+
+/**
+ * Internal dependencies.
+ */
+import pruneStaleFields from '../../utils/prune-stale-fields';
+
+/**
+ * Listens for the undo/redo keyboard shortcuts.
+ *
+ * @return {null}
+ */
+function HistoryShortcuts() {
+	return null;
+}
+
+/**
+ * Returns the history action that matches the keyboard event.
+ *
+ * @param  {Object}  event
+ * @return {?string}
+ */
+function getShortcutAction( event ) {
+	if ( ! ( event.ctrlKey || event.metaKey ) || event.altKey ) {
+		return null;
+	}
+
+	const key = event.key.toLowerCase();
+
+	if ( key === 'z' ) {
+		return event.shiftKey ? 'redo' : 'undo';
+	}
+
+	if ( key === 'y' && event.ctrlKey && ! event.shiftKey ) {
+		return 'redo';
+	}
+
+	return null;
+}
+
+/**
+ * Returns whether the shortcut should be handled by the fields.
+ * The shortcuts of inputs outside of the containers (e.g. the post title)
+ * are left to the browser.
+ *
+ * @param  {Object}  event
+ * @return {boolean}
+ */
+function isTargetingFields( event ) {
+	const { target } = event;
+
+	return target === document.body || !! target.closest( '.cf-container' );
+}
+
+/**
+ * The function that controls the stream of side effects.
+ *
+ * @return {Object}
+ */
+function aperture() {
+	return pipe(
+		fromEvent( document, 'keydown' ),
+		filter( ( event ) => !! getShortcutAction( event ) && isTargetingFields( event ) ),
+		map( ( event ) => ( {
+			type: getShortcutAction( event ),
+			event
+		} ) )
+	);
+}
+
+/**
+ * The function that causes the side effects.
+ *
+ * @param  {Object}   props
+ * @param  {Function} props.undo
+ * @param  {Function} props.redo
+ * @return {Function}
+ */
+function handler( { undo, redo } ) {
+	return function( effect ) {
+		effect.event.preventDefault();
+
+		switch ( effect.type ) {
+			case 'undo':
+				undo();
+				break;
+
+			case 'redo':
+				redo();
+				break;
+		}
+
+		pruneStaleFields();
+	};
+}
+
+const applyWithDispatch = withDispatch( ( dispatch ) => {
+	const { undo, redo } = dispatch( 'carbon-fields/metaboxes' );
+
+	return {
+		undo,
+		redo
+	};
+} );
+
+export default compose(
+	applyWithDispatch,
+	withEffects( aperture, { handler } )
+)( HistoryShortcuts );
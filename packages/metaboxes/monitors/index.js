@@ -7,12 +7,36 @@ import { Fragment, render } from '@wordpress/element';
  * Internal dependencies.
  */
 import SaveLock from './save-lock';
+import Autosave from './autosave';
+import initializeRecovery from './autosave/recovery';
+import HistoryShortcuts from './history-shortcuts';
 import ConditionalDisplay from './conditional-display';
 import WidgetHandler from './widget-handler';
 import RevisionsFlag from './revisions-flag';
+import ValidationSummary from '../components/validation-summary';
+import ValidationNotice from '../components/validation-summary/notice';
 import isGutenberg from '../utils/is-gutenberg';
 import { PAGE_NOW_WIDGETS, PAGE_NOW_CUSTOMIZE } from '../lib/constants';
 
+/**
+ * Creates a node right below the page's heading.
+ *
+ * @param  {Element} wrapNode
+ * @return {Element}
+ */
+function createNoticeNode( wrapNode ) {
+	const node = document.createElement( 'div' );
+	const headingNode = wrapNode.querySelector( '.wp-header-end' ) || wrapNode.querySelector( 'h1, h2' );
+
+	if ( headingNode ) {
+		headingNode.parentNode.insertBefore( node, headingNode.nextSibling );
+	} else {
+		wrapNode.insertBefore( node, wrapNode.firstChild );
+	}
+
+	return node;
+}
+
 /**
  * Initializes the monitors.
  *
@@ -21,6 +45,7 @@ import { PAGE_NOW_WIDGETS, PAGE_NOW_CUSTOMIZE } from '../lib/constants';
  */
 export default function initializeMonitors( context ) {
 	const { pagenow } = window.cf.config;
+	const isEditingObject = pagenow !== PAGE_NOW_WIDGETS && pagenow !== PAGE_NOW_CUSTOMIZE;
 
 	render(
 		<Fragment>
@@ -28,6 +53,18 @@ export default function initializeMonitors( context ) {
 				<SaveLock />
 			) }
 
+			{ ! isGutenberg() && (
+				<HistoryShortcuts />
+			) }
+
+			{ isGutenberg() && (
+				<ValidationNotice />
+			) }
+
+			{ isEditingObject && (
+				<Autosave />
+			) }
+
 			{ ( pagenow === PAGE_NOW_WIDGETS || pagenow === PAGE_NOW_CUSTOMIZE ) && (
 				<WidgetHandler />
 			) }
@@ -42,5 +79,14 @@ export default function initializeMonitors( context ) {
 	if ( postStuffNode ) {
 		render( <RevisionsFlag />, postStuffNode.appendChild( document.createElement( 'div' ) ) );
 	}
-}
 
+	const wrapNode = document.querySelector( '#wpbody-content .wrap' );
+
+	if ( ! isGutenberg() && wrapNode ) {
+		render( <ValidationSummary />, createNoticeNode( wrapNode ) );
+	}
+
+	if ( isEditingObject && ( isGutenberg() || wrapNode ) ) {
+		initializeRecovery( isGutenberg() ? null : createNoticeNode( wrapNode ) );
+	}
+}
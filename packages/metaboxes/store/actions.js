@@ -49,6 +49,37 @@ export function updateFieldValue( fieldId, value ) {
 	};
 }
 
+/**
+ * Returns an action object used to revert the field to its loaded value.
+ *
+ * @param  {string} fieldId
+ * @return {Object}
+ */
+export function revertField( fieldId ) {
+	return {
+		type: 'REVERT_FIELD',
+		payload: {
+			fieldId
+		}
+	};
+}
+
+/**
+ * Returns an action object used to signal that the fields
+ * were saved and their current values are the loaded ones.
+ *
+ * @param  {string[]} fieldIds
+ * @return {Object}
+ */
+export function markAsSaved( fieldIds ) {
+	return {
+		type: 'MARK_AS_SAVED',
+		payload: {
+			fieldIds
+		}
+	};
+}
+
 /**
  * Returns an action object used to add the fields.
  *
@@ -96,6 +127,22 @@ export function removeFields( fieldIds ) {
 	};
 }
 
+/**
+ * Returns an action object used to remove the fields
+ * that aren't rendered by any container.
+ *
+ * @param  {string[]} fieldIds
+ * @return {Object}
+ */
+export function pruneFields( fieldIds ) {
+	return {
+		type: 'PRUNE_FIELDS',
+		payload: {
+			fieldIds
+		}
+	};
+}
+
 /**
  * Returns an action object used to add a container to all containers.
  *
@@ -164,3 +211,55 @@ export function unlockSaving( lockName ) {
 		}
 	};
 }
+
+/**
+ * Returns an action object used to show the container.
+ *
+ * @param  {string} containerId
+ * @return {Object}
+ */
+export function showContainer( containerId ) {
+	return {
+		type: 'SHOW_CONTAINER',
+		payload: {
+			containerId
+		}
+	};
+}
+
+/**
+ * Returns an action object used to hide the container.
+ *
+ * @param  {string} containerId
+ * @return {Object}
+ */
+export function hideContainer( containerId ) {
+	return {
+		type: 'HIDE_CONTAINER',
+		payload: {
+			containerId
+		}
+	};
+}
+
+/**
+ * Returns an action object used to undo the last change of the fields.
+ *
+ * @return {Object}
+ */
+export function undo() {
+	return {
+		type: 'UNDO'
+	};
+}
+
+/**
+ * Returns an action object used to redo the last undone change of the fields.
+ *
+ * @return {Object}
+ */
+export function redo() {
+	return {
+		type: 'REDO'
+	};
+}
@@ -0,0 +1,113 @@
+/**
+ * External dependencies.
+ */
+import { doAction } from '@wordpress/hooks';
+import {
+	map,
+	forEach,
+	isEqual,
+	includes,
+	union
+} from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import exportFieldValue from '../utils/export-field-value';
+import { getFieldPath } from '../utils/field-path';
+
+/**
+ * Fires the actions for the groups that were added to
+ * or removed from the complex field.
+ *
+ * @param  {Object} previousField
+ * @param  {Object} field
+ * @param  {Object} payload
+ * @return {void}
+ */
+function emitGroupEvents( previousField, field, payload ) {
+	const previousGroupIds = map( previousField.value, 'id' );
+	const groupIds = map( field.value, 'id' );
+
+	previousField.value.forEach( ( group, index ) => {
+		if ( ! includes( groupIds, group.id ) ) {
+			doAction( 'carbon-fields.complex.group-removed', {
+				...payload,
+				group,
+				index
+			} );
+		}
+	} );
+
+	field.value.forEach( ( group, index ) => {
+		if ( ! includes( previousGroupIds, group.id ) ) {
+			doAction( 'carbon-fields.complex.group-added', {
+				...payload,
+				group,
+				index
+			} );
+		}
+	} );
+}
+
+/**
+ * Fires the actions that describe the changes between two states of the store.
+ * The changes of complex fields are reported only when their groups change,
+ * the changes of the group fields are reported separately. The groups added
+ * by any means, e.g. by cloning, pasting or undoing, are reported too.
+ *
+ * @param  {Object} previousState
+ * @param  {Object} state
+ * @return {void}
+ */
+export default function emitEvents( previousState, state ) {
+	if ( previousState.fields !== state.fields ) {
+		forEach( state.fields, ( field, fieldId ) => {
+			const previousField = previousState.fields[ fieldId ];
+
+			// Skip the new fields and the ones which value hasn't been touched.
+			if ( ! previousField || previousField.value === field.value ) {
+				return;
+			}
+
+			const oldValue = exportFieldValue( previousField, previousState.fields );
+			const newValue = exportFieldValue( field, state.fields );
+
+			// The groups of complex fields could be just expanded or collapsed.
+			if ( isEqual( oldValue, newValue ) ) {
+				return;
+			}
+
+			const payload = {
+				context: 'metabox',
+				containerId: field.container_id,
+				field,
+				path: getFieldPath( fieldId ),
+				oldValue,
+				newValue
+			};
+
+			if ( field.type === 'complex' ) {
+				emitGroupEvents( previousField, field, payload );
+			}
+
+			doAction( 'carbon-fields.field.changed', payload );
+		} );
+	}
+
+	if ( previousState.hiddenContainers !== state.hiddenContainers ) {
+		union( previousState.hiddenContainers, state.hiddenContainers ).forEach( ( containerId ) => {
+			const visible = ! includes( state.hiddenContainers, containerId );
+
+			if ( visible === ! includes( previousState.hiddenContainers, containerId ) ) {
+				return;
+			}
+
+			doAction( 'carbon-fields.container.visibility-changed', {
+				context: 'metabox',
+				container: state.containers[ containerId ],
+				visible
+			} );
+		} );
+	}
+}
@@ -26,3 +26,25 @@ export function normalizePreloadedState( state ) {
 
 	return { containers, fields };
 }
+
+/**
+ * Returns a list of field ids by a given root id.
+ *
+ * @param  {string}   fieldId
+ * @param  {Object}   fields
+ * @param  {string[]} accumulator
+ * @return {string[]}
+ */
+export function getFieldIdsByRootId( fieldId, fields, accumulator ) {
+	const field = fields[ fieldId ];
+
+	if ( field.type === 'complex' ) {
+		field.value.forEach( ( group ) => {
+			accumulator = group.fields.reduce( ( groupAccumulator, groupField ) => {
+				return getFieldIdsByRootId( groupField.id, fields, groupAccumulator );
+			}, accumulator );
+		} );
+	}
+
+	return accumulator.concat( fieldId );
+}
@@ -0,0 +1,220 @@
+/**
+ * External dependencies.
+ */
+import produce from 'immer';
+import {
+	map,
+	last,
+	find,
+	omit,
+	forEach,
+	initial,
+	isEqual,
+	includes,
+	takeRight
+} from 'lodash';
+
+/**
+ * The actions that are recorded in the history.
+ *
+ * @type {string[]}
+ */
+const TRACKED_ACTIONS = [
+	'UPDATE_FIELD_VALUE',
+	'ADD_FIELDS',
+	'CLONE_FIELDS',
+	'REMOVE_FIELDS',
+	'REVERT_FIELD'
+];
+
+/**
+ * The actions that replace the fields from the outside
+ * and make the recorded steps obsolete.
+ *
+ * @type {string[]}
+ */
+const RESET_ACTIONS = [
+	'SETUP_STATE',
+	'UPDATE_STATE',
+	'RECEIVE_SIDEBAR'
+];
+
+/**
+ * The maximum number of steps that can be undone.
+ *
+ * @type {number}
+ */
+const LIMIT = 100;
+
+/**
+ * The default state.
+ *
+ * @type {Object}
+ */
+const INITIAL_STATE = {
+	past: [],
+	future: [],
+	lastAction: null
+};
+
+/**
+ * Returns whether the action continues the previous step.
+ *
+ * @param  {Object}  action
+ * @param  {?Object} lastAction
+ * @return {boolean}
+ */
+function isContinuation( action, lastAction ) {
+	if ( ! lastAction ) {
+		return false;
+	}
+
+	switch ( action.type ) {
+		case 'UPDATE_FIELD_VALUE':
+			// Typing in the same field or updating the value of
+			// the complex field after its group was added/cloned.
+			return (
+				lastAction.type === 'UPDATE_FIELD_VALUE'
+				&& lastAction.payload.fieldId === action.payload.fieldId
+			) || includes( [ 'ADD_FIELDS', 'CLONE_FIELDS' ], lastAction.type );
+
+		case 'REMOVE_FIELDS':
+			// The value of the complex field is updated before the
+			// fields of the removed group.
+			return lastAction.type === 'UPDATE_FIELD_VALUE';
+
+		default:
+			return false;
+	}
+}
+
+/**
+ * Returns whether the action only expands/collapses groups of a complex field.
+ * The UI state isn't recorded in the history.
+ *
+ * @param  {Object}  action
+ * @param  {Object}  fields
+ * @return {boolean}
+ */
+function isToggle( action, fields ) {
+	if ( action.type !== 'UPDATE_FIELD_VALUE' ) {
+		return false;
+	}
+
+	const field = fields[ action.payload.fieldId ];
+
+	if ( ! field || field.type !== 'complex' ) {
+		return false;
+	}
+
+	const getStructure = ( groups ) => map( groups, ( group ) => omit( group, 'collapsed' ) );
+
+	return isEqual( getStructure( field.value ), getStructure( action.payload.value ) );
+}
+
+/**
+ * Returns the fields with the values of the recorded step.
+ *
+ * The fields that are missing from the step are kept because they are
+ * still rendered until the restored values are. They are pruned on the next tick.
+ * The groups keep their current expanded/collapsed state.
+ *
+ * @param  {Object} fields
+ * @param  {Object} step
+ * @return {Object}
+ */
+function restoreStep( fields, step ) {
+	return produce( { ...fields, ...step }, ( draft ) => {
+		forEach( draft, ( field ) => {
+			if ( field.type !== 'complex' || ! fields[ field.id ] ) {
+				return;
+			}
+
+			field.value.forEach( ( group ) => {
+				const currentGroup = find( fields[ field.id ].value, [ 'id', group.id ] );
+
+				if ( currentGroup ) {
+					group.collapsed = currentGroup.collapsed;
+				}
+			} );
+		} );
+	} );
+}
+
+/**
+ * Creates a reducer that keeps track of the changes of the fields
+ * so they can be undone/redone.
+ *
+ * @param  {Function} reducer
+ * @return {Function}
+ */
+export default function withHistory( reducer ) {
+	return function( state = {}, action ) {
+		const { history = INITIAL_STATE, ...rest } = state;
+
+		switch ( action.type ) {
+			case 'UNDO':
+				if ( ! history.past.length ) {
+					return state;
+				}
+
+				return {
+					...reducer( { ...rest, fields: restoreStep( rest.fields, last( history.past ) ) }, action ),
+					history: {
+						past: initial( history.past ),
+						future: [ rest.fields, ...history.future ],
+						lastAction: null
+					}
+				};
+
+			case 'REDO':
+				if ( ! history.future.length ) {
+					return state;
+				}
+
+				return {
+					...reducer( { ...rest, fields: restoreStep( rest.fields, history.future[ 0 ] ) }, action ),
+					history: {
+						past: [ ...history.past, rest.fields ],
+						future: history.future.slice( 1 ),
+						lastAction: null
+					}
+				};
+		}
+
+		const nextState = reducer( rest, action );
+
+		if ( nextState === rest ) {
+			return state;
+		}
+
+		if ( includes( RESET_ACTIONS, action.type ) ) {
+			return {
+				...nextState,
+				history: INITIAL_STATE
+			};
+		}
+
+		if (
+			! includes( TRACKED_ACTIONS, action.type )
+			|| nextState.fields === rest.fields
+			|| isToggle( action, rest.fields )
+		) {
+			return {
+				...nextState,
+				history
+			};
+		}
+
+		return {
+			...nextState,
+			history: {
+				past: isContinuation( action, history.lastAction )
+					? history.past
+					: takeRight( [ ...history.past, rest.fields ], LIMIT ),
+				future: [],
+				lastAction: action
+			}
+		};
+	};
+}
@@ -13,12 +13,13 @@ import {
 import reducer from './reducer';
 import * as actions from './actions';
 import * as selectors from './selectors';
+import emitEvents from './events';
 import { normalizePreloadedState } from './helpers';
 
 /**
  * Register the store.
  */
-registerStore( 'carbon-fields/metaboxes', {
+const store = registerStore( 'carbon-fields/metaboxes', {
 	reducer,
 	actions,
 	selectors
@@ -33,3 +34,22 @@ dispatch( 'carbon-fields/metaboxes' ).setupState(
 	keyBy( containers, 'id' ),
 	keyBy( fields, 'id' )
 );
+
+/**
+ * Notify the integrations about the changes.
+ */
+let previousState = store.getState();
+
+store.subscribe( () => {
+	const state = store.getState();
+	const changedState = previousState;
+
+	if ( state === changedState ) {
+		return;
+	}
+
+	// Update the reference first because the listeners may dispatch actions.
+	previousState = state;
+
+	emitEvents( changedState, state );
+} );
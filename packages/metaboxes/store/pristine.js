@@ -0,0 +1,139 @@
+/**
+ * External dependencies.
+ */
+import produce from 'immer';
+import { includes } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import { getFieldIdsByRootId } from './helpers';
+import { getDirtyFieldIds } from './selectors';
+
+/**
+ * The actions after which the dirty state is computed from the fields.
+ *
+ * @type {string[]}
+ */
+const RECHECKED_ACTIONS = [
+	'MARK_AS_SAVED',
+	'REVERT_FIELD',
+	'PRUNE_FIELDS',
+	'UNDO',
+	'REDO'
+];
+
+/**
+ * Returns the fields with the given subtree replaced
+ * by its pristine counterpart.
+ *
+ * The fields that were added after the load are left in place
+ * because they are still rendered until the reverted value is.
+ * They are pruned on the next tick.
+ *
+ * @param  {Object}   fields
+ * @param  {Object}   pristine
+ * @param  {string[]} pristineIds
+ * @return {Object}
+ */
+function restoreFields( fields, pristine, pristineIds ) {
+	return produce( fields, ( draft ) => {
+		pristineIds.forEach( ( id ) => {
+			// The fields of removed groups are brought back as they were loaded.
+			if ( ! draft[ id ] ) {
+				draft[ id ] = pristine[ id ];
+			} else {
+				draft[ id ].value = pristine[ id ].value;
+			}
+		} );
+	} );
+}
+
+/**
+ * Returns the fields with the specified field reverted to its loaded value.
+ *
+ * @param  {Object} fields
+ * @param  {Object} pristine
+ * @param  {string} fieldId
+ * @return {Object}
+ */
+function revertField( fields, pristine, fieldId ) {
+	// The fields that were added after the load have nothing to revert to.
+	if ( ! fields[ fieldId ] || ! pristine[ fieldId ] ) {
+		return fields;
+	}
+
+	return restoreFields(
+		fields,
+		pristine,
+		getFieldIdsByRootId( fieldId, pristine, [] )
+	);
+}
+
+/**
+ * Creates a reducer that keeps the fields as they were loaded
+ * so their changes can be detected and reverted.
+ *
+ * @param  {Function} reducer
+ * @return {Function}
+ */
+export default function withPristine( reducer ) {
+	return function( state = {}, action ) {
+		const { pristine = {}, ...rest } = state;
+
+		let nextState = reducer( rest, action );
+		let nextPristine = pristine;
+
+		switch ( action.type ) {
+			case 'SETUP_STATE':
+				nextPristine = action.payload.fields;
+				break;
+
+			case 'UPDATE_STATE':
+				nextPristine = {
+					...pristine,
+					...action.payload.fields
+				};
+				break;
+
+			case 'MARK_AS_SAVED':
+				nextPristine = { ...pristine };
+
+				action.payload.fieldIds
+					.reduce( ( accumulator, fieldId ) => getFieldIdsByRootId( fieldId, nextState.fields, accumulator ), [] )
+					.forEach( ( fieldId ) => {
+						nextPristine[ fieldId ] = nextState.fields[ fieldId ];
+					} );
+
+				break;
+
+			case 'REVERT_FIELD':
+				nextState = {
+					...nextState,
+					fields: revertField( nextState.fields, pristine, action.payload.fieldId )
+				};
+				break;
+		}
+
+		// The values may be back to the loaded ones or the other
+		// containers may still have unsaved changes.
+		if ( includes( RECHECKED_ACTIONS, action.type ) ) {
+			nextState = {
+				...nextState,
+				isDirty: getDirtyFieldIds( {
+					...nextState,
+					pristine: nextPristine
+				} ).length > 0
+			};
+		}
+
+		if ( nextState === rest && nextPristine === pristine ) {
+			return state;
+		}
+
+		return {
+			...nextState,
+			pristine: nextPristine
+		};
+	};
+}
@@ -9,7 +9,8 @@ import {
 	assign,
 	forEach,
 	cloneDeep,
-	values
+	values,
+	without
 } from 'lodash';
 
 /**
@@ -17,6 +18,13 @@ import {
  */
 import { uniqueId } from '@carbon-fields/core';
 
+/**
+ * Internal dependencies.
+ */
+import withHistory from './history';
+import withPristine from './pristine';
+import { getFieldIdsByRootId } from './helpers';
+
 /**
  * The reducer that keeps track of the containers.
  *
@@ -81,28 +89,6 @@ function cloneField( originId, cloneId, fields, accumulator ) {
 	return accumulator.concat( field );
 }
 
-/**
- * Returns a list of field ids by a given root id.
- *
- * @param  {string}   fieldId
- * @param  {Object}   fields
- * @param  {string[]} accumulator
- * @return {string[]}
- */
-function getFieldIdsByRootId( fieldId, fields, accumulator ) {
-	const field = fields[ fieldId ];
-
-	if ( field.type === 'complex' ) {
-		field.value.forEach( ( group ) => {
-			accumulator = group.fields.reduce( ( groupAccumulator, groupField ) => {
-				return getFieldIdsByRootId( groupField.id, fields, groupAccumulator );
-			}, accumulator );
-		} );
-	}
-
-	return accumulator.concat( fieldId );
-}
-
 /**
  * The reducer that keeps track of the fields.
  *
@@ -154,6 +140,9 @@ export function fields( state = {}, action ) {
 
 			return omit( state, fieldIds );
 
+		case 'PRUNE_FIELDS':
+			return omit( state, action.payload.fieldIds );
+
 		case 'RECEIVE_SIDEBAR':
 			return produce( state, ( draft ) => {
 				forEach( draft, ( field ) => {
@@ -208,9 +197,39 @@ export function isDirty( state = false, action ) {
 	}
 }
 
-export default combineReducers( {
+/**
+ * The reducer that keeps track of the containers that are hidden
+ * by their conditions.
+ *
+ * @param  {string[]} state
+ * @param  {Object}   action
+ * @return {Object}
+ */
+export function hiddenContainers( state = [], action ) {
+	switch ( action.type ) {
+		case 'SHOW_CONTAINER':
+			if ( state.indexOf( action.payload.containerId ) === -1 ) {
+				return state;
+			}
+
+			return without( state, action.payload.containerId );
+
+		case 'HIDE_CONTAINER':
+			if ( state.indexOf( action.payload.containerId ) > -1 ) {
+				return state;
+			}
+
+			return state.concat( action.payload.containerId );
+
+		default:
+			return state;
+	}
+}
+
+export default withHistory( withPristine( combineReducers( {
 	containers,
 	fields,
 	savingLock,
-	isDirty
-} );
+	isDirty,
+	hiddenContainers
+} ) ) );
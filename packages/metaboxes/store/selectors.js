@@ -2,12 +2,24 @@
  * External dependencies.
  */
 import {
+	map,
+	find,
+	some,
+	isEqual,
 	filter,
 	pick,
+	findIndex,
 	mapValues,
-	mapKeys
+	mapKeys,
+	values,
+	difference
 } from 'lodash';
 
+/**
+ * Internal dependencies.
+ */
+import { getFieldIdsByRootId } from './helpers';
+
 /**
  * Returns the containers.
  *
@@ -29,6 +41,17 @@ export function getContainerById( state, containerId ) {
 	return state.containers[ containerId ];
 }
 
+/**
+ * Returns whether the container is visible.
+ *
+ * @param  {Object} state
+ * @param  {string} containerId
+ * @return {boolean}
+ */
+export function isContainerVisible( state, containerId ) {
+	return state.hiddenContainers.indexOf( containerId ) === -1;
+}
+
 /**
  * Returns the fields.
  *
@@ -61,6 +84,60 @@ export function getFieldById( state, fieldId ) {
 	return state.fields[ fieldId ];
 }
 
+/**
+ * Returns the complex field and the group that contain the specified field.
+ *
+ * @param  {Object} fields
+ * @param  {string} fieldId
+ * @return {?Object}
+ */
+function findParentGroup( fields, fieldId ) {
+	let parent = null;
+
+	find( fields, ( field ) => {
+		if ( field.type !== 'complex' ) {
+			return false;
+		}
+
+		const index = findIndex( field.value, ( group ) => some( group.fields, [ 'id', fieldId ] ) );
+
+		if ( index === -1 ) {
+			return false;
+		}
+
+		parent = {
+			field,
+			group: field.value[ index ],
+			index
+		};
+
+		return true;
+	} );
+
+	return parent;
+}
+
+/**
+ * Returns the complex groups that contain the specified field
+ * starting from the top-level one.
+ *
+ * @param  {Object} state
+ * @param  {string} fieldId
+ * @return {Object[]}
+ */
+export function getFieldAncestors( state, fieldId ) {
+	const ancestors = [];
+	let parent = findParentGroup( state.fields, fieldId );
+
+	while ( parent ) {
+		ancestors.unshift( parent );
+
+		parent = findParentGroup( state.fields, parent.field.id );
+	}
+
+	return ancestors;
+}
+
 /**
  * Returns whether saving is locked.
  *
@@ -71,6 +148,27 @@ export function isSavingLocked( state ) {
 	return Object.keys( state.savingLock ).length > 0;
 }
 
+/**
+ * Returns the names of the locks that prevent the saving.
+ * The fields lock the saving by their id.
+ *
+ * @param  {Object} state
+ * @return {string[]}
+ */
+export function getSavingLockNames( state ) {
+	return Object.keys( state.savingLock );
+}
+
+/**
+ * Returns the fields as they were last loaded or saved.
+ *
+ * @param  {Object} state
+ * @return {Object}
+ */
+export function getPristineFields( state ) {
+	return state.pristine;
+}
+
 /**
  * Returns whether the metaboxes fields contain unsaved changed.
  *
@@ -81,6 +179,76 @@ export function isDirty( state ) {
 	return state.isDirty;
 }
 
+/**
+ * Returns the groups of the complex field without their UI state.
+ *
+ * @param  {Object[]} groups
+ * @return {Object[]}
+ */
+function getComplexStructure( groups ) {
+	return groups.map( ( group ) => ( {
+		id: group.id,
+		name: group.name,
+		fields: map( group.fields, 'id' )
+	} ) );
+}
+
+/**
+ * Returns whether the value of the field differs from the loaded one.
+ * The complex fields are also dirty when any of their descendants is.
+ *
+ * @param  {Object} state
+ * @param  {string} fieldId
+ * @return {boolean}
+ */
+export function isFieldDirty( state, fieldId ) {
+	const field = state.fields[ fieldId ];
+	const pristineField = state.pristine[ fieldId ];
+
+	// The fields that were added after the load are
+	// considered as part of their parent's changes.
+	if ( ! field || ! pristineField ) {
+		return false;
+	}
+
+	if ( field.type !== 'complex' ) {
+		return ! isEqual( field.value, pristineField.value );
+	}
+
+	if ( ! isEqual( getComplexStructure( field.value ), getComplexStructure( pristineField.value ) ) ) {
+		return true;
+	}
+
+	return some( field.value, ( group ) => some( group.fields, ( groupField ) => isFieldDirty( state, groupField.id ) ) );
+}
+
+/**
+ * Returns the ids of the fields which values differ from the loaded ones.
+ *
+ * @param  {Object} state
+ * @return {string[]}
+ */
+export function getDirtyFieldIds( state ) {
+	return Object.keys( state.fields ).filter( ( fieldId ) => isFieldDirty( state, fieldId ) );
+}
+
+/**
+ * Returns the ids of the fields that aren't rendered by any container,
+ * e.g. the fields of the groups that were dropped by a revert.
+ *
+ * @param  {Object} state
+ * @return {string[]}
+ */
+export function getStaleFieldIds( state ) {
+	const fieldIds = values( state.containers ).reduce( ( accumulator, container ) => {
+		return container.fields
+			.filter( ( { id } ) => state.fields[ id ] )
+			.reduce( ( containerAccumulator, { id } ) => getFieldIdsByRootId( id, state.fields, containerAccumulator ), accumulator );
+	}, [] );
+
+	return difference( Object.keys( state.fields ), fieldIds );
+}
+
 /**
  * Returns a map of field values for a given group.
  *
@@ -96,3 +264,23 @@ export function getComplexGroupValues( state, fieldIds ) {
 
 	return fields;
 }
+
+/**
+ * Returns whether there are changes that can be undone.
+ *
+ * @param  {Object} state
+ * @return {boolean}
+ */
+export function hasUndo( state ) {
+	return state.history.past.length > 0;
+}
+
+/**
+ * Returns whether there are changes that can be redone.
+ *
+ * @param  {Object} state
+ * @return {boolean}
+ */
+export function hasRedo( state ) {
+	return state.history.future.length > 0;
+}
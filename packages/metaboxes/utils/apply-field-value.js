@@ -0,0 +1,46 @@
+/**
+ * External dependencies.
+ */
+import { select, dispatch } from '@wordpress/data';
+import { flatMap } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import flattenField from './flatten-field';
+import importFieldValue from './import-field-value';
+
+/**
+ * Replaces the value of the field with a value exported by `exportFieldValue`.
+ * The groups of complex fields are rebuilt with new fields.
+ *
+ * @param  {string} fieldId
+ * @param  {mixed}  value
+ * @return {void}
+ */
+export default function applyFieldValue( fieldId, value ) {
+	const field = select( 'carbon-fields/metaboxes' ).getFieldById( fieldId );
+	const { addFields, removeFields, updateFieldValue } = dispatch( 'carbon-fields/metaboxes' );
+
+	if ( field.type !== 'complex' ) {
+		updateFieldValue( fieldId, value );
+
+		return;
+	}
+
+	// The flattened field is pushed last, right after its descendants.
+	const fields = [];
+
+	flattenField( importFieldValue( field, value ), field.container_id, fields );
+
+	const { value: groups } = fields.pop();
+
+	addFields( fields );
+	updateFieldValue( fieldId, groups );
+
+	// Delay removal of fields because React will complain
+	// about missing objects.
+	setTimeout( () => {
+		removeFields( flatMap( field.value, ( group ) => group.fields.map( ( groupField ) => groupField.id ) ) );
+	}, 1 );
+}
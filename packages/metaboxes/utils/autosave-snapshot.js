@@ -0,0 +1,162 @@
+/**
+ * External dependencies.
+ */
+import { select } from '@wordpress/data';
+import {
+	has,
+	toArray,
+	isEqual,
+	isEmpty,
+	forEach
+} from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import getObjectKey from './get-object-key';
+import exportFieldValue from './export-field-value';
+
+/**
+ * Returns the key under which the snapshot of the current object is stored.
+ *
+ * @return {?string}
+ */
+function getStorageKey() {
+	const objectKey = getObjectKey();
+
+	return objectKey ? `carbon-fields/autosave/${ objectKey }` : null;
+}
+
+/**
+ * Returns the values of the given containers keyed
+ * by container id and field's base name.
+ *
+ * @param  {Object[]} containers
+ * @param  {Object}   fields
+ * @return {Object}
+ */
+export function getContainerValues( containers, fields ) {
+	return containers.reduce( ( accumulator, container ) => {
+		accumulator[ container.id ] = container.fields.reduce( ( values, { id } ) => {
+			const field = fields[ id ];
+
+			if ( field ) {
+				values[ field.base_name ] = exportFieldValue( field, fields );
+			}
+
+			return values;
+		}, {} );
+
+		return accumulator;
+	}, {} );
+}
+
+/**
+ * Returns the values of the containers as they were last loaded or saved.
+ *
+ * @return {Object}
+ */
+export function getPristineValues() {
+	const { getContainers, getPristineFields } = select( 'carbon-fields/metaboxes' );
+
+	return getContainerValues( toArray( getContainers() ), getPristineFields() );
+}
+
+/**
+ * Returns only the values that differ from the pristine ones.
+ *
+ * @param  {Object} values
+ * @param  {Object} pristineValues
+ * @return {Object}
+ */
+export function diffValues( values, pristineValues ) {
+	const changes = {};
+
+	forEach( values, ( containerValues, containerId ) => {
+		forEach( containerValues, ( value, baseName ) => {
+			const pristineContainerValues = pristineValues[ containerId ];
+
+			// Skip the values of containers or fields that no longer exist.
+			if ( ! has( pristineContainerValues, baseName ) ) {
+				return;
+			}
+
+			if ( isEqual( value, pristineContainerValues[ baseName ] ) ) {
+				return;
+			}
+
+			changes[ containerId ] = {
+				...changes[ containerId ],
+				[ baseName ]: value
+			};
+		} );
+	} );
+
+	return changes;
+}
+
+/**
+ * Returns the stored snapshot of the current object.
+ *
+ * @return {?Object}
+ */
+export function readSnapshot() {
+	const key = getStorageKey();
+
+	if ( ! key ) {
+		return null;
+	}
+
+	try {
+		return JSON.parse( window.localStorage.getItem( key ) );
+	} catch ( e ) {
+		return null;
+	}
+}
+
+/**
+ * Stores the changed values of the current object.
+ * The snapshot is removed if there are no changes.
+ *
+ * @param  {Object} changes
+ * @return {void}
+ */
+export function writeSnapshot( changes ) {
+	const key = getStorageKey();
+
+	if ( ! key ) {
+		return;
+	}
+
+	if ( isEmpty( changes ) ) {
+		removeSnapshot();
+
+		return;
+	}
+
+	// The storage may be full or disabled by the browser.
+	try {
+		window.localStorage.setItem( key, JSON.stringify( {
+			time: Date.now(),
+			containers: changes
+		} ) );
+	} catch ( e ) {} // eslint-disable-line no-empty
+}
+
+/**
+ * Removes the stored snapshot of the current object.
+ *
+ * @return {void}
+ */
+export function removeSnapshot() {
+	const key = getStorageKey();
+
+	if ( ! key ) {
+		return;
+	}
+
+	try {
+		window.localStorage.removeItem( key );
+	} catch ( e ) {} // eslint-disable-line no-empty
+}
+
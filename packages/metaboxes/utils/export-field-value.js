@@ -0,0 +1,32 @@
+/**
+ * Carbon Fields dependencies.
+ */
+import { resolveFieldTypeMetadata } from '@carbon-fields/core';
+
+/**
+ * Returns the value of the field in a portable shape.
+ * The groups of complex fields are converted to plain
+ * objects with `_type` key and values keyed by
+ * the names of the group fields.
+ *
+ * @param  {Object} field
+ * @param  {Object} fields
+ * @return {mixed}
+ */
+export default function exportFieldValue( field, fields ) {
+	if ( field.type !== 'complex' ) {
+		return resolveFieldTypeMetadata( field.type ).serialize( field.value );
+	}
+
+	return field.value.map( ( group ) => group.fields.reduce( ( accumulator, { id } ) => {
+		const groupField = fields[ id ];
+
+		if ( groupField ) {
+			accumulator[ groupField.base_name ] = exportFieldValue( groupField, fields );
+		}
+
+		return accumulator;
+	}, {
+		_type: group.name
+	} ) );
+}
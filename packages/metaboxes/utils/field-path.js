@@ -0,0 +1,116 @@
+/**
+ * External dependencies.
+ */
+import { select } from '@wordpress/data';
+import { find } from 'lodash';
+
+/**
+ * Internal dependencies.
+ */
+import { CARBON_FIELDS_CONTAINER_ID_PREFIX } from '../lib/constants';
+
+/**
+ * Separator of the fields in the path.
+ *
+ * @type {string}
+ */
+const FIELD_SEPARATOR = '/';
+
+/**
+ * Separator of the complex field and its group in the path.
+ *
+ * @type {string}
+ */
+const GROUP_SEPARATOR = ':';
+
+/**
+ * Matches a segment of the path, e.g. `crb_slides`, `crb_slides[0]`
+ * or `crb_slides[0]:slide`.
+ *
+ * @type {RegExp}
+ */
+const SEGMENT_REGEX = /^([a-z0-9_-]+)(?:\[(\d+)\])?(?::([a-z0-9_-]+))?$/;
+
+/**
+ * Returns the container by its id with or without the default prefix.
+ *
+ * @param  {string}  containerId
+ * @return {?Object}
+ */
+export function findContainer( containerId ) {
+	const { getContainerById } = select( 'carbon-fields/metaboxes' );
+
+	return getContainerById( containerId ) || getContainerById( `${ CARBON_FIELDS_CONTAINER_ID_PREFIX }${ containerId }` ) || null;
+}
+
+/**
+ * Returns the id of the field that matches the path.
+ * The path follows the format used by the server, e.g. `crb_slides[0]:slide/title`.
+ *
+ * @param  {string}  containerId
+ * @param  {string}  path
+ * @return {?string}
+ */
+export function getFieldIdByPath( containerId, path ) {
+	const { getFieldById } = select( 'carbon-fields/metaboxes' );
+	const container = findContainer( containerId );
+	const segments = path.split( FIELD_SEPARATOR ).filter( ( segment ) => segment !== '' );
+
+	if ( ! container || ! segments.length ) {
+		return null;
+	}
+
+	let references = container.fields;
+	let field = null;
+
+	for ( let i = 0; i < segments.length; i++ ) {
+		const matches = segments[ i ].match( SEGMENT_REGEX );
+
+		if ( ! matches ) {
+			return null;
+		}
+
+		const [ , baseName, index = 0, groupName ] = matches;
+
+		field = find( references.map( ( { id } ) => getFieldById( id ) ), [ 'base_name', baseName ] );
+
+		if ( ! field ) {
+			return null;
+		}
+
+		// The last segment may point to the complex field itself.
+		if ( i === segments.length - 1 ) {
+			break;
+		}
+
+		const group = field.type === 'complex' ? field.value[ index ] : null;
+
+		if ( ! group || ( groupName && group.name !== groupName ) ) {
+			return null;
+		}
+
+		references = group.fields;
+	}
+
+	return field.id;
+}
+
+/**
+ * Returns the path of the field, e.g. `crb_slides[0]:slide/title`.
+ *
+ * @param  {string}  fieldId
+ * @return {?string}
+ */
+export function getFieldPath( fieldId ) {
+	const { getFieldById, getFieldAncestors } = select( 'carbon-fields/metaboxes' );
+	const field = getFieldById( fieldId );
+
+	if ( ! field ) {
+		return null;
+	}
+
+	return getFieldAncestors( fieldId )
+		.map( ( { field: ancestor, group, index } ) => `${ ancestor.base_name }[${ index }]${ GROUP_SEPARATOR }${ group.name }` )
+		.concat( field.base_name )
+		.join( FIELD_SEPARATOR );
+}
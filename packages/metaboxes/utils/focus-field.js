@@ -0,0 +1,36 @@
+/**
+ * The selector used to find the element that can receive the focus.
+ *
+ * @type {string}
+ */
+const FOCUSABLE_SELECTOR = 'input:not([type="hidden"]), select, textarea, button, [tabindex]';
+
+/**
+ * Scrolls to the specified field and moves the focus to it.
+ *
+ * @param  {string} fieldId
+ * @return {void}
+ */
+export default function focusField( fieldId ) {
+	const label = document.querySelector( `label[for="${ fieldId }"]` );
+	const node = label
+		? label.closest( '.cf-field' )
+		: document.getElementById( fieldId );
+
+	if ( ! node ) {
+		return;
+	}
+
+	node.scrollIntoView( {
+		behavior: 'smooth',
+		block: 'center'
+	} );
+
+	const focusable = document.getElementById( fieldId ) || node.querySelector( FOCUSABLE_SELECTOR );
+
+	if ( focusable ) {
+		focusable.focus( {
+			preventScroll: true
+		} );
+	}
+}
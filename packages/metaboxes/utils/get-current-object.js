@@ -0,0 +1,68 @@
+/**
+ * External dependencies.
+ */
+import { select } from '@wordpress/data';
+
+/**
+ * Internal dependencies.
+ */
+import isGutenberg from './is-gutenberg';
+
+/**
+ * Returns the value of the input that matches the selector.
+ *
+ * @param  {string}  selector
+ * @return {?string}
+ */
+function getInputValue( selector ) {
+	const node = document.querySelector( selector );
+
+	return node ? node.value : null;
+}
+
+/**
+ * Returns the type and the id of the object (post, term, user, etc.)
+ * which is edited on the current screen.
+ *
+ * @return {?Object}
+ */
+export default function getCurrentObject() {
+	let type;
+	let id;
+
+	if ( isGutenberg() ) {
+		type = 'post';
+		id = select( 'core/editor' ).getCurrentPostId();
+	} else {
+		switch ( window.cf.config.pagenow ) {
+			case 'post.php':
+			case 'post-new.php':
+				type = 'post';
+				id = getInputValue( 'input#post_ID' );
+				break;
+
+			case 'term.php':
+				type = 'term';
+				id = getInputValue( 'input[name="tag_ID"]' );
+				break;
+
+			case 'profile.php':
+			case 'user-edit.php':
+				type = 'user';
+				id = getInputValue( 'input#user_id' );
+				break;
+
+			case 'comment.php':
+				type = 'comment';
+				id = getInputValue( 'input[name="comment_ID"]' );
+				break;
+
+			case 'admin.php':
+				type = 'theme_options';
+				id = new window.URLSearchParams( window.location.search ).get( 'page' );
+				break;
+		}
+	}
+
+	return id ? { type, id } : null;
+}
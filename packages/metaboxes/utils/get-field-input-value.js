@@ -0,0 +1,54 @@
+/**
+ * External dependencies.
+ */
+import { applyFilters } from '@wordpress/hooks';
+
+/**
+ * Carbon Fields dependencies.
+ */
+import { resolveFieldTypeMetadata } from '@carbon-fields/core';
+
+/**
+ * Returns the value of the field in the shape that is
+ * submitted by its inputs when the page's form is posted.
+ *
+ * @param  {Object} field
+ * @param  {Object} fields
+ * @return {mixed}
+ */
+export default function getFieldInputValue( field, fields ) {
+	let value;
+
+	switch ( field.type ) {
+		case 'complex':
+			value = field.value.map( ( group ) => group.fields.reduce( ( accumulator, { id } ) => {
+				const groupField = fields[ id ];
+
+				if ( groupField ) {
+					accumulator[ groupField.name ] = getFieldInputValue( groupField, fields );
+				}
+
+				return accumulator;
+			}, {
+				value: group.name
+			} ) );
+			break;
+
+		case 'checkbox':
+			value = field.value ? field.option_value : '';
+			break;
+
+		case 'association':
+			value = field.value.map( ( option ) => `${ option.type }:${ option.subtype }:${ option.id }` );
+			break;
+
+		case 'multiselect':
+			value = field.value.join( field.valueDelimiter );
+			break;
+
+		default:
+			value = resolveFieldTypeMetadata( field.type ).serialize( field.value );
+	}
+
+	return applyFilters( 'carbon-fields.metaboxes.field-input-value', value, field );
+}
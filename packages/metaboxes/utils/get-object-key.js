@@ -0,0 +1,16 @@
+/**
+ * Internal dependencies.
+ */
+import getCurrentObject from './get-current-object';
+
+/**
+ * Returns a key that identifies the object (post, term, user, etc.)
+ * which is edited on the current screen.
+ *
+ * @return {?string}
+ */
+export default function getObjectKey() {
+	const object = getCurrentObject();
+
+	return object ? `${ object.type }/${ object.id }` : null;
+}
@@ -0,0 +1,54 @@
+/**
+ * External dependencies.
+ */
+import {
+	has,
+	find,
+	isArray,
+	cloneDeep,
+	isPlainObject
+} from 'lodash';
+
+/**
+ * Carbon Fields dependencies.
+ */
+import { resolveFieldTypeMetadata } from '@carbon-fields/core';
+
+/**
+ * Applies a value exported by `exportFieldValue` to the definition of a field.
+ * The groups of complex fields are created from the definitions in
+ * `field.groups` and the entries with unknown `_type` are skipped.
+ * The result can be flattened with `flattenField`.
+ *
+ * @param  {Object} field
+ * @param  {mixed}  value
+ * @return {Object}
+ */
+export default function importFieldValue( field, value ) {
+	field = cloneDeep( field );
+
+	if ( field.type !== 'complex' ) {
+		field.value = resolveFieldTypeMetadata( field.type ).deserialize( value );
+
+		return field;
+	}
+
+	field.value = ( isArray( value ) ? value : [] ).reduce( ( groups, entry ) => {
+		const definition = isPlainObject( entry ) && find( field.groups, [ 'name', entry._type ] );
+
+		if ( ! definition ) {
+			return groups;
+		}
+
+		return groups.concat( {
+			...definition,
+			fields: definition.fields.map( ( groupField ) => {
+				return has( entry, groupField.base_name )
+					? importFieldValue( groupField, entry[ groupField.base_name ] )
+					: cloneDeep( groupField );
+			} )
+		} );
+	}, [] );
+
+	return field;
+}
@@ -0,0 +1,22 @@
+/**
+ * External dependencies.
+ */
+import { select, dispatch } from '@wordpress/data';
+
+/**
+ * Removes the fields that are no longer rendered by any container,
+ * e.g. after their group was dropped by a revert or an undo.
+ *
+ * @return {void}
+ */
+export default function pruneStaleFields() {
+	// Delay removal of fields because React will complain
+	// about missing objects.
+	setTimeout( () => {
+		const fieldIds = select( 'carbon-fields/metaboxes' ).getStaleFieldIds();
+
+		if ( fieldIds.length ) {
+			dispatch( 'carbon-fields/metaboxes' ).pruneFields( fieldIds );
+		}
+	}, 1 );
+}
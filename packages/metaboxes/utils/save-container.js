@@ -0,0 +1,68 @@
+/**
+ * External dependencies.
+ */
+import { select, dispatch } from '@wordpress/data';
+import {
+	get,
+	map,
+	find,
+	forEach
+} from 'lodash';
+
+/**
+ * Carbon Fields dependencies.
+ */
+import { apiFetch } from '@carbon-fields/core';
+
+/**
+ * Internal dependencies.
+ */
+import getCurrentObject from './get-current-object';
+import getFieldInputValue from './get-field-input-value';
+
+/**
+ * Saves the values of the container over the REST API.
+ * The errors of the fields returned by the server are
+ * displayed as validation errors.
+ *
+ * @param  {string}  containerId
+ * @return {Promise}
+ */
+export default function saveContainer( containerId ) {
+	const { getContainerById, getFields } = select( 'carbon-fields/metaboxes' );
+	const { markAsSaved } = dispatch( 'carbon-fields/metaboxes' );
+	const { markAsInvalid } = dispatch( 'carbon-fields/core' );
+
+	const container = getContainerById( containerId );
+	const fields = getFields();
+	const object = getCurrentObject();
+
+	// The request mimics the submission of the page's form
+	// so the server can process the input as usual.
+	const data = container.fields.reduce( ( accumulator, { id } ) => {
+		accumulator[ fields[ id ].name ] = getFieldInputValue( fields[ id ], fields );
+
+		return accumulator;
+	}, {
+		[ container.nonce.name ]: container.nonce.value,
+		object_id: object && object.type !== 'theme_options' ? object.id : '',
+		_wpnonce: window.wpApiSettings.nonce
+	} );
+
+	return apiFetch( `${ window.wpApiSettings.root }carbon-fields/v1/containers/${ containerId }`, 'post', data )
+		.then( ( response ) => {
+			markAsSaved( map( container.fields, 'id' ) );
+
+			return response;
+		}, ( error ) => {
+			forEach( get( error, [ 'data', 'fields' ] ), ( message, baseName ) => {
+				const field = find( map( container.fields, ( { id } ) => fields[ id ] ), [ 'base_name', baseName ] );
+
+				if ( field ) {
+					markAsInvalid( field.id, message );
+				}
+			} );
+
+			throw error.message;
+		} );
+}
@@ -107,6 +107,21 @@ class RepositoryTest extends WP_UnitTestCase {
 		$this->assertEquals( $expected, $received );
 	}
 
+	/**
+	 * @covers ::get_container
+	 */
+	public function testGetContainerReturnsContainerById() {
+		$container_id = $this->containerId;
+		$container = $this->getContainerMock( function( $mock ) use ( $container_id ) {
+			$mock->shouldReceive( 'get_id' )->andReturn( $container_id );
+		} );
+
+		$this->repository->register_container( $container );
+
+		$this->assertSame( $container, $this->repository->get_container( $this->containerId ) );
+		$this->assertNull( $this->repository->get_container( 'carbon_fields_container_missing' ) );
+	}
+
 	/**
 	 * @covers ::get_unique_container_id
 	 */
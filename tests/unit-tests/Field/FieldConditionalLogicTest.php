@@ -139,6 +139,81 @@ class FieldConditionalLogicTest extends WP_UnitTestCase {
 
 	}
 
+	/**
+	 * @covers ::set_conditional_logic
+	 * @covers ::get_conditional_logic
+	 */
+	public function testNestedCondLogic() {
+		$user_defined_cond_logic = array(
+			'relation' => 'OR',
+			array(
+				'relation' => 'AND',
+				array(
+					'field' => 'is_product',
+					'value' => 'yes',
+				),
+				array(
+					'field' => 'is_featured',
+					'value' => 'yes',
+				),
+			),
+			array(
+				'field' => 'color',
+				'compare' => 'IN',
+				'value' => array( 'red', 'blue' ),
+			),
+		);
+
+		$expected_parsed_cond_logic = array(
+			'relation' => 'OR',
+			'rules' => array(
+				array(
+					'relation' => 'AND',
+					'rules' => array(
+						array(
+							'field' => 'is_product',
+							'value' => 'yes',
+							'compare' => '=',
+						),
+						array(
+							'field' => 'is_featured',
+							'value' => 'yes',
+							'compare' => '=',
+						),
+					),
+				),
+				array(
+					'field' => 'color',
+					'value' => array( 'red', 'blue' ),
+					'compare' => 'IN',
+				),
+			)
+		);
+
+		$this->verify_cond_logic(
+			$user_defined_cond_logic,
+			$expected_parsed_cond_logic
+		);
+	}
+
+	/**
+	 * @covers ::set_conditional_logic
+	 * 
+	 * @expectedException Carbon_Fields\Exception\Incorrect_Syntax_Exception
+	 * @expectedExceptionMessage Invalid relation
+	 */
+	public function testBadNestedRelationOperatorThrowsError() {
+		$this->field->set_conditional_logic( array(
+			array(
+				'relation' => 'maybe',
+				array(
+					'field' => 'is_product',
+					'value' => 'yes',
+				),
+			)
+		) );
+	}
+
 	/**
 	 * @covers ::set_conditional_logic
 	 * 
@@ -186,4 +261,104 @@ class FieldConditionalLogicTest extends WP_UnitTestCase {
 			)
 		) );
 	}
-}
\ No newline at end of file
+
+	/**
+	 * @covers ::set_conditional_logic
+	 * 
+	 * @expectedException Carbon_Fields\Exception\Incorrect_Syntax_Exception
+	 * @expectedExceptionMessage exactly two items
+	 */
+	public function testBetweenCompareOperatorRequiresRangeAsValue() {
+		$this->field->set_conditional_logic( array(
+			array(
+				'field' => 'price',
+				'value' => array( 10 ),
+				'compare' => 'BETWEEN'
+			)
+		) );
+	}
+
+	/**
+	 * @covers ::set_conditional_logic
+	 * @covers ::get_conditional_logic
+	 */
+	public function testExtendedCompareOperators() {
+		$rules = array(
+			array(
+				'field' => 'price',
+				'value' => array( 10, 20 ),
+				'compare' => 'BETWEEN',
+			),
+			array(
+				'field' => 'title',
+				'value' => '/^crb_/i',
+				'compare' => 'REGEX',
+			),
+			array(
+				'field' => 'subtitle',
+				'compare' => 'NOT EMPTY',
+			),
+			array(
+				'field' => 'publish_date',
+				'value' => 'now',
+				'compare' => 'BEFORE',
+			),
+		);
+
+		$this->field->set_conditional_logic( $rules );
+
+		$parsed = $this->field->get_conditional_logic();
+
+		$this->assertSame( array( 'BETWEEN', 'REGEX', 'NOT EMPTY', 'BEFORE' ), wp_list_pluck( $parsed['rules'], 'compare' ) );
+		$this->assertSame( '', $parsed['rules'][2]['value'] );
+	}
+
+	/**
+	 * @covers ::set_required_logic
+	 * @covers ::get_required_logic
+	 * @covers ::set_disabled_logic
+	 * @covers ::get_disabled_logic
+	 */
+	public function testRequiredAndDisabledLogic() {
+		$rules = array(
+			array(
+				'field' => 'is_product',
+				'value' => 'yes',
+			)
+		);
+
+		$expected = array(
+			'relation' => 'AND',
+			'rules' => array(
+				array(
+					'field' => 'is_product',
+					'value' => 'yes',
+					'compare' => '=',
+				)
+			)
+		);
+
+		$this->field
+			->set_required_logic( $rules )
+			->set_disabled_logic( $rules );
+
+		$this->assertEquals( $expected, $this->field->get_required_logic() );
+		$this->assertEquals( $expected, $this->field->get_disabled_logic() );
+		$this->assertSame( array(), $this->field->get_conditional_logic() );
+	}
+
+	/**
+	 * @covers ::set_required_logic
+	 * 
+	 * @expectedException Carbon_Fields\Exception\Incorrect_Syntax_Exception
+	 * @expectedExceptionMessage compare operator
+	 */
+	public function testBadRequiredLogicThrowsError() {
+		$this->field->set_required_logic( array(
+			array(
+				'field' => 'is_product',
+				'compare' => '!==',
+			)
+		) );
+	}
+}
@@ -0,0 +1,62 @@
+<?php
+
+use Carbon_Fields\Field\Field;
+
+/**
+ * @coversDefaultClass Carbon_Fields\Field\Field
+ */
+class FieldValidationTest extends WP_UnitTestCase {
+	private $field;
+
+	public function setup() {
+		$this->field = Field::make( 'text', 'username' );
+	}
+
+	public function tearDown() {
+		unset( $this->field );
+	}
+
+	/**
+	 * @covers ::set_validation
+	 *
+	 * @expectedException Carbon_Fields\Exception\Incorrect_Syntax_Exception
+	 * @expectedExceptionMessage should be an array
+	 */
+	public function testErrorIsThrownWhenValidationIsNotArray() {
+		$this->field->set_validation( 'min_length' );
+	}
+
+	/**
+	 * @covers ::set_validation
+	 *
+	 * @expectedException Carbon_Fields\Exception\Incorrect_Syntax_Exception
+	 * @expectedExceptionMessage "type" key set
+	 */
+	public function testErrorIsThrownWhenRuleHasNoType() {
+		$this->field->set_validation( array(
+			array(
+				'value' => 3,
+			),
+		) );
+	}
+
+	/**
+	 * @covers ::set_validation
+	 * @covers ::get_validation
+	 */
+	public function testValidationRulesAreStored() {
+		$rules = array(
+			array(
+				'type' => 'min_length',
+				'value' => 3,
+			),
+			array(
+				'type' => 'pattern',
+				'value' => '/^[a-z]+$/i',
+				'message' => 'Only letters are allowed.',
+			),
+		);
+
+		$this->assertEquals( $rules, $this->field->set_validation( $rules )->get_validation() );
+	}
+}